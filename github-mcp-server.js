@@ -3,963 +3,6026 @@
 const express = require('express');
 const cors = require('cors');
 const { v4: uuidv4 } = require('uuid');
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const readline = require('readline');
+const YAML = require('yaml');
 require('dotenv').config();
 
 const app = express();
 const PORT = process.env.PORT || 3000;
+const PUBLIC_BASE_URL = process.env.RENDER_EXTERNAL_URL || `http://localhost:${PORT}`;
 
-// Enable CORS and JSON parsing
-app.use(cors());
-app.use(express.json());
+// Browser origins allowed to call the server ('*' or unset allows any)
+const CORS_ALLOWED_ORIGINS = (process.env.CORS_ALLOWED_ORIGINS || '*')
+  .split(',')
+  .map(origin => origin.trim())
+  .filter(Boolean);
 
-// Session management for SSE connections
+function isOriginAllowed(origin) {
+  return !origin || CORS_ALLOWED_ORIGINS.includes('*') || CORS_ALLOWED_ORIGINS.includes(origin);
+}
+
+// Reject cross-origin requests from origins outside the allowlist (also
+// guards against DNS rebinding), then enable CORS and JSON parsing
+app.use((req, res, next) => {
+  if (!isOriginAllowed(req.get('Origin'))) {
+    return res.status(403).json({ error: 'Origin not allowed' });
+  }
+  next();
+});
+app.use(cors({
+  origin: CORS_ALLOWED_ORIGINS.includes('*') ? '*' : CORS_ALLOWED_ORIGINS,
+  exposedHeaders: ['Mcp-Session-Id', 'WWW-Authenticate']
+}));
+// Webhook deliveries can be large, and their signature covers the raw bytes
+app.use('/webhooks', express.json({
+  limit: '25mb',
+  verify: (req, res, buffer) => {
+    req.rawBody = buffer;
+  }
+}));
+// MCP messages carry base64 file and asset uploads, so their routes parse
+// with a raised limit, and only after authentication. Everything else keeps
+// express's 100kb default.
+const MCP_MESSAGE_ROUTES = new Set(['/mcp', '/mcp/tools/call', '/messages', '/sse']);
+const parseMessageBody = express.json({ limit: process.env.MCP_MAX_REQUEST_BODY || '10mb' });
+const parseJson = express.json();
+app.use((req, res, next) => {
+  if (MCP_MESSAGE_ROUTES.has(req.path)) {
+    return next();
+  }
+  parseJson(req, res, next);
+});
+
+// Session management for SSE and Streamable HTTP connections
 const sessions = new Map();
 
-// Validate required environment variables
-if (!process.env.GITHUB_PERSONAL_ACCESS_TOKEN) {
-  console.error('Error: GITHUB_PERSONAL_ACCESS_TOKEN environment variable is required');
+// MCP protocol versions this server speaks, newest first
+const SUPPORTED_PROTOCOL_VERSIONS = ['2025-06-18', '2025-03-26', '2024-11-05'];
+
+// Streamable HTTP session settings
+const EVENT_BUFFER_SIZE = 100; // events kept per stream for Last-Event-ID replay
+const REPLAY_STREAMS = 20; // streams per session whose events are kept
+const SESSION_IDLE_TIMEOUT = 30 * 60 * 1000; // 30 minutes
+
+// Per-client GitHub credentials: inbound caller subject -> GitHub token
+let GITHUB_TOKEN_MAP = {};
+try {
+  GITHUB_TOKEN_MAP = JSON.parse(process.env.GITHUB_TOKEN_MAP || '{}');
+} catch (error) {
+  console.error('Error: GITHUB_TOKEN_MAP must be a JSON object mapping caller names to GitHub tokens');
   process.exit(1);
 }
+// When set, the shared GITHUB_PERSONAL_ACCESS_TOKEN is never used as a fallback
+const GITHUB_REQUIRE_CLIENT_TOKEN = process.env.GITHUB_REQUIRE_CLIENT_TOKEN === 'true';
 
-// GitHub MCP Tools Configuration
-const GITHUB_TOOLS = [
-  'repositories',
-  'issues',
-  'pull_requests',
-  'files',
-  'search',
-  'commits',
-  'branches',
-  'releases',
-  'user_management',
-  'code_search'
-];
-
-// Simple in-memory cache for GitHub responses
-const cache = new Map();
-const CACHE_DURATION = 60000; // 1 minute
+// GitHub API base URL (override for GitHub Enterprise Server or a local stub)
+const GITHUB_API_URL = (process.env.GITHUB_API_URL || 'https://api.github.com').replace(/\/$/, '');
 
-class GitHubAPIClient {
-  constructor() {
-    this.baseURL = 'https://api.github.com';
+// JSON-RPC error carrying a protocol-level error code
+class JsonRpcError extends Error {
+  constructor(code, message, data) {
+    super(message);
+    this.name = 'JsonRpcError';
+    this.code = code;
+    this.data = data;
   }
+}
 
-  async makeRequest(endpoint, options = {}) {
-    const url = `${this.baseURL}${endpoint}`;
-    const cacheKey = `${url}_${JSON.stringify(options)}`;
-    const cached = cache.get(cacheKey);
+// Error returned by the GitHub API, carrying GitHub's message, field-level
+// `errors[]` and `documentation_url` so the model can correct its request
+class GitHubAPIError extends Error {
+  constructor(status, body = {}, type = 'api_error') {
+    super(`GitHub API error: ${status} ${body.message || 'Unknown error'}`);
+    this.name = 'GitHubAPIError';
+    this.status = status;
+    this.type = type;
+    this.githubMessage = body.message || null;
+    this.errors = Array.isArray(body.errors) ? body.errors : [];
+    this.documentationUrl = body.documentation_url || null;
+  }
 
-    if (cached && Date.now() - cached.timestamp < CACHE_DURATION) {
-      return cached.data;
-    }
+  // Pick the error class matching a failed response
+  static fromResponse(status, body = {}) {
+    const alreadyExists = /already exists/i.test(body.message || '') ||
+      (Array.isArray(body.errors) && body.errors.some(error =>
+        error && (error.code === 'already_exists' || /already exists/i.test(error.message || ''))
+      ));
 
-    const response = await fetch(url, {
-      headers: {
-        'Authorization': `token ${process.env.GITHUB_PERSONAL_ACCESS_TOKEN}`,
-        'Accept': 'application/vnd.github.v3+json',
-        'User-Agent': 'MCP-GitHub-Server/1.0',
-        ...options.headers
-      },
-      ...options
-    });
+    if (status === 401) return new GitHubAuthenticationError(status, body);
+    if (status === 403) return new GitHubPermissionError(status, body);
+    if (status === 404) return new GitHubNotFoundError(status, body);
+    if (status === 409 || (status === 422 && alreadyExists)) return new GitHubConflictError(status, body);
+    if (status === 422) return new GitHubValidationError(status, body);
+    return new GitHubAPIError(status, body);
+  }
 
-    if (!response.ok) {
-      throw new Error(`GitHub API error: ${response.status} ${response.statusText}`);
+  // Human/model-readable description used in tool error results
+  describe() {
+    const lines = [`GitHub API error (${this.status || 'n/a'} ${this.type}): ${this.githubMessage || this.message}`];
+    for (const detail of this.errors) {
+      if (typeof detail === 'string') {
+        lines.push(`- ${detail}`);
+      } else if (detail) {
+        const location = [detail.resource, detail.field].filter(Boolean).join('.');
+        const text = detail.message || detail.code || JSON.stringify(detail);
+        lines.push(`- ${location ? `${location}: ` : ''}${text}${detail.message && detail.code ? ` (${detail.code})` : ''}`);
+      }
+    }
+    if (this.hint) {
+      lines.push(`Hint: ${this.hint}`);
     }
+    if (this.documentationUrl) {
+      lines.push(`Documentation: ${this.documentationUrl}`);
+    }
+    return lines.join('\n');
+  }
+}
 
-    const data = await response.json();
-    cache.set(cacheKey, { data, timestamp: Date.now() });
-    return data;
+class GitHubAuthenticationError extends GitHubAPIError {
+  constructor(status, body) {
+    super(status, body, 'authentication_failed');
+    this.name = 'GitHubAuthenticationError';
+    this.hint = 'The GitHub credentials are missing, invalid or expired.';
   }
+}
 
-  async getRepository(owner, repo) {
-    return await this.makeRequest(`/repos/${owner}/${repo}`);
+class GitHubPermissionError extends GitHubAPIError {
+  constructor(status, body) {
+    super(status, body, 'permission_denied');
+    this.name = 'GitHubPermissionError';
+    this.hint = 'The GitHub credentials do not have access to this resource or action.';
   }
+}
 
-  async listRepositories(per_page = 30, sort = 'updated') {
-    return await this.makeRequest(`/user/repos?per_page=${per_page}&sort=${sort}`);
+class GitHubNotFoundError extends GitHubAPIError {
+  constructor(status, body) {
+    super(status, body, 'not_found');
+    this.name = 'GitHubNotFoundError';
+    this.hint = 'Check the owner, repository, number or path. GitHub also answers 404 for private resources the credentials cannot see.';
   }
+}
 
-  async listIssues(owner, repo, state = 'open') {
-    return await this.makeRequest(`/repos/${owner}/${repo}/issues?state=${state}`);
+class GitHubValidationError extends GitHubAPIError {
+  constructor(status, body) {
+    super(status, body, 'validation_failed');
+    this.name = 'GitHubValidationError';
   }
+}
 
-  async createIssue(owner, repo, data) {
-    return await this.makeRequest(`/repos/${owner}/${repo}/issues`, {
-      method: 'POST',
-      headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify(data)
-    });
+class GitHubConflictError extends GitHubAPIError {
+  constructor(status, body) {
+    super(status, body, 'conflict');
+    this.name = 'GitHubConflictError';
   }
+}
 
-  async getFileContent(owner, repo, path, ref = 'main') {
-    return await this.makeRequest(`/repos/${owner}/${repo}/contents/${path}?ref=${ref}`);
+// Raised when GitHub's primary or secondary rate limit blocks a request
+class GitHubRateLimitError extends GitHubAPIError {
+  constructor({ resource, resetAt, retryAfter, secondary, status = null, body = {} }) {
+    super(status, body, 'rate_limited');
+    const when = resetAt ? ` Resets at ${resetAt.toISOString()} (in ${Math.max(0, Math.ceil((resetAt - Date.now()) / 1000))}s).` : '';
+    this.message = `GitHub ${secondary ? 'secondary' : 'primary'} rate limit exceeded for ${resource}.${when}`;
+    this.name = 'GitHubRateLimitError';
+    this.githubMessage = this.message;
+    this.resource = resource;
+    this.resetAt = resetAt;
+    this.retryAfter = retryAfter;
+    this.secondary = secondary;
+    this.hint = 'Wait until the reset time before retrying.';
+    this.data = {
+      type: 'rate_limited',
+      resource,
+      secondary,
+      resetAt: resetAt ? resetAt.toISOString() : null,
+      retryAfterSeconds: retryAfter
+    };
   }
+}
 
-  // Pull Request operations
-  async listPullRequests(owner, repo, state = 'open', per_page = 30) {
-    return await this.makeRequest(`/repos/${owner}/${repo}/pulls?state=${state}&per_page=${per_page}`);
+// Read a GitHub error response body, tolerating non-JSON payloads
+async function readErrorBody(response) {
+  const text = await response.text().catch(() => '');
+  try {
+    return JSON.parse(text);
+  } catch (error) {
+    return { message: text || response.statusText };
   }
+}
 
-  async getPullRequest(owner, repo, pull_number) {
-    return await this.makeRequest(`/repos/${owner}/${repo}/pulls/${pull_number}`);
+// Parse a successful response: JSON, text (e.g. diffs), or null when empty
+async function readResponseBody(response) {
+  if (response.status === 204 || response.status === 205) {
+    return null;
   }
+  const text = await response.text();
+  if (!text) {
+    return null;
+  }
+  const contentType = response.headers.get('content-type') || '';
+  return contentType.includes('json') ? JSON.parse(text) : text;
+}
 
-  async createPullRequest(owner, repo, data) {
-    return await this.makeRequest(`/repos/${owner}/${repo}/pulls`, {
-      method: 'POST',
-      headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify(data)
-    });
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+// Short, non-reversible label for a credential (used to key per-token state)
+function tokenIdentity(token) {
+  return `token:${crypto.createHash('sha256').update(String(token)).digest('hex').slice(0, 12)}`;
+}
+
+// Retry and throttling settings for GitHub requests
+const GITHUB_MAX_RETRIES = Number(process.env.GITHUB_MAX_RETRIES || 3);
+const GITHUB_MAX_RETRY_WAIT = Number(process.env.GITHUB_MAX_RETRY_WAIT_MS || 60000);
+const RATE_LIMIT_LOW_WATERMARK = Number(process.env.GITHUB_RATE_LIMIT_LOW_WATERMARK || 100);
+// Only reads are retried: a PUT or DELETE that failed in transit (a merge, a
+// file write) may already have been applied
+const RETRYABLE_METHODS = new Set(['GET', 'HEAD', 'OPTIONS']);
+
+// Exponential backoff with equal jitter (50-100% of the delay)
+function backoffDelay(attempt) {
+  return Math.min(GITHUB_MAX_RETRY_WAIT, 1000 * 2 ** attempt) * (0.5 + Math.random() / 2);
+}
+
+// GitHub rate-limit bucket a request is charged against
+function rateLimitResource(endpoint) {
+  const path = endpoint.replace(/^https?:\/\/[^/]+/, '');
+  if (path.startsWith('/search/code')) return 'code_search';
+  if (path.startsWith('/search')) return 'search';
+  if (/^(\/api)?\/graphql/.test(path)) return 'graphql';
+  return 'core';
+}
+
+// Tracks the rate-limit budget GitHub reports for each token and resource,
+// spacing requests out when a budget runs low and holding them while a
+// secondary limit is in force
+class RateLimitTracker {
+  constructor() {
+    this.budgets = new Map(); // identity -> Map(resource -> budget)
+    this.blockedUntil = new Map(); // identity -> epoch ms (secondary limits)
+    this.nextSlot = new Map(); // `${identity}:${resource}` -> epoch ms
   }
 
-  async mergePullRequest(owner, repo, pull_number, data = {}) {
-    return await this.makeRequest(`/repos/${owner}/${repo}/pulls/${pull_number}/merge`, {
-      method: 'PUT',
-      headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify(data)
+  update(identity, fallbackResource, headers) {
+    const remaining = headers.get('x-ratelimit-remaining');
+    if (remaining === null) {
+      return;
+    }
+    const resource = headers.get('x-ratelimit-resource') || fallbackResource;
+    this.record(identity, resource, {
+      limit: Number(headers.get('x-ratelimit-limit')),
+      remaining: Number(remaining),
+      used: Number(headers.get('x-ratelimit-used') || 0),
+      reset: Number(headers.get('x-ratelimit-reset'))
     });
   }
 
-  // Branch operations
-  async listBranches(owner, repo, per_page = 30) {
-    return await this.makeRequest(`/repos/${owner}/${repo}/branches?per_page=${per_page}`);
+  record(identity, resource, budget) {
+    if (!this.budgets.has(identity)) {
+      this.budgets.set(identity, new Map());
+    }
+    this.budgets.get(identity).set(resource, { ...budget, updatedAt: Date.now() });
   }
 
-  async getBranch(owner, repo, branch) {
-    return await this.makeRequest(`/repos/${owner}/${repo}/branches/${branch}`);
+  get(identity, resource) {
+    const budgets = this.budgets.get(identity);
+    return budgets ? budgets.get(resource) : undefined;
   }
 
-  async createBranch(owner, repo, branch, sha) {
-    return await this.makeRequest(`/repos/${owner}/${repo}/git/refs`, {
-      method: 'POST',
-      headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify({ ref: `refs/heads/${branch}`, sha })
-    });
+  block(identity, until) {
+    this.blockedUntil.set(identity, Math.max(until, this.blockedUntil.get(identity) || 0));
   }
 
-  // Commit operations
-  async listCommits(owner, repo, sha = null, per_page = 30) {
-    const query = sha ? `?sha=${sha}&per_page=${per_page}` : `?per_page=${per_page}`;
-    return await this.makeRequest(`/repos/${owner}/${repo}/commits${query}`);
+  // Wait until a request may be sent, or throw if that would take too long
+  async throttle(identity, resource) {
+    const now = Date.now();
+    const blockedUntil = this.blockedUntil.get(identity) || 0;
+    if (blockedUntil > now) {
+      if (blockedUntil - now > GITHUB_MAX_RETRY_WAIT) {
+        throw new GitHubRateLimitError({ resource, resetAt: new Date(blockedUntil), retryAfter: Math.ceil((blockedUntil - now) / 1000), secondary: true });
+      }
+      await sleep(blockedUntil - now);
+    }
+
+    const budget = this.get(identity, resource);
+    if (!budget || budget.remaining >= RATE_LIMIT_LOW_WATERMARK) {
+      return;
+    }
+
+    const resetAt = budget.reset * 1000;
+    const untilReset = resetAt - Date.now();
+    if (untilReset <= 0) {
+      return;
+    }
+    if (budget.remaining <= 0) {
+      if (untilReset > GITHUB_MAX_RETRY_WAIT) {
+        throw new GitHubRateLimitError({ resource, resetAt: new Date(resetAt), retryAfter: Math.ceil(untilReset / 1000), secondary: false });
+      }
+      await sleep(untilReset);
+      return;
+    }
+
+    // Low budget: queue requests evenly across the time left in the window
+    const key = `${identity}:${resource}`;
+    const spacing = Math.min(untilReset / budget.remaining, 5000);
+    const slot = Math.max(Date.now(), this.nextSlot.get(key) || 0);
+    this.nextSlot.set(key, slot + spacing);
+    budget.remaining -= 1;
+    if (slot > Date.now()) {
+      await sleep(slot - Date.now());
+    }
   }
 
-  async getCommit(owner, repo, ref) {
-    return await this.makeRequest(`/repos/${owner}/${repo}/commits/${ref}`);
+  snapshot() {
+    const result = {};
+    for (const [identity, budgets] of this.budgets) {
+      result[identity] = {};
+      for (const [resource, budget] of budgets) {
+        result[identity][resource] = {
+          limit: budget.limit,
+          remaining: budget.remaining,
+          used: budget.used,
+          reset: new Date(budget.reset * 1000).toISOString()
+        };
+      }
+    }
+    for (const [identity, blockedUntil] of this.blockedUntil) {
+      if (blockedUntil > Date.now()) {
+        result[identity] = { ...result[identity], secondaryLimitUntil: new Date(blockedUntil).toISOString() };
+      }
+    }
+    return result;
   }
+}
 
-  // Search operations
-  async searchRepositories(query, per_page = 30) {
-    return await this.makeRequest(`/search/repositories?q=${encodeURIComponent(query)}&per_page=${per_page}`);
+const rateLimits = new RateLimitTracker();
+
+// Work out whether a failed response was a rate limit, and for how long
+function detectRateLimit(response, resource, body) {
+  if (response.status !== 403 && response.status !== 429) {
+    return null;
   }
 
-  async searchCode(query, per_page = 30) {
-    return await this.makeRequest(`/search/code?q=${encodeURIComponent(query)}&per_page=${per_page}`);
+  const retryAfter = response.headers.get('retry-after');
+  const remaining = response.headers.get('x-ratelimit-remaining');
+  const reset = response.headers.get('x-ratelimit-reset');
+  const secondary = /secondary rate limit|abuse/i.test(body.message || '') || (retryAfter !== null && remaining !== '0');
+
+  if (remaining === '0' && !secondary) {
+    const resetAt = new Date(Number(reset) * 1000);
+    return { resource, secondary: false, resetAt, waitMs: Math.max(0, resetAt - Date.now()) };
   }
+  if (secondary || response.status === 429) {
+    // GitHub asks clients to wait at least a minute when no Retry-After is given
+    const waitMs = retryAfter !== null ? Number(retryAfter) * 1000 : 60000;
+    return { resource, secondary: true, resetAt: new Date(Date.now() + waitMs), waitMs };
+  }
+  return null;
+}
+
+// Response cache
+//
+// Only GET responses are cached. Entries are keyed by repository scope,
+// credential identity, URL and Accept header, stay fresh for a per-endpoint
+// TTL and are then revalidated with If-None-Match: a 304 reuses the cached
+// body and does not count against the rate limit. Any write to a repository
+// drops that repository's entries. A store implements
+// `get(key)`, `set(key, entry)` and `deleteScope(scope)`.
+
+const CACHE_MAX_ENTRIES = parseInt(process.env.GITHUB_CACHE_MAX_ENTRIES || '500', 10);
+const CACHE_DEFAULT_TTL = parseInt(process.env.GITHUB_CACHE_TTL_MS || '60000', 10); // 1 minute
+// How long entries are kept after going stale, for ETag revalidation
+const CACHE_STALE_RETENTION = 60 * 60 * 1000; // 1 hour
+
+// First match wins; TTLs in milliseconds
+const CACHE_TTLS = [
+  [/^\/repos\/[^/]+\/[^/]+\/(git\/(blobs|trees|commits)|commits)\/[0-9a-f]{40}$/i, 60 * 60 * 1000], // immutable by SHA
+  [/^\/search\//, 30 * 1000],
+  [/^\/repos\/[^/]+\/[^/]+\/(issues|pulls)(\/|$)/, 15 * 1000],
+  [/^\/repos\/[^/]+\/[^/]+\/(actions\/(runs|jobs)|commits\/[^/]+\/(status|check-runs|check-suites)|check-runs)(\/|$)/, 10 * 1000],
+  [/^\/repos\/[^/]+\/[^/]+$/, 5 * 60 * 1000],
+  [/^\/users\/[^/]+$/, 5 * 60 * 1000]
+];
+
+function cacheTtl(apiPath) {
+  const match = CACHE_TTLS.find(([pattern]) => pattern.test(apiPath));
+  return match ? match[1] : CACHE_DEFAULT_TTL;
+}
 
-  async searchIssues(query, per_page = 30) {
-    return await this.makeRequest(`/search/issues?q=${encodeURIComponent(query)}&per_page=${per_page}`);
+// Entries are grouped by the resource they belong to, so writes can drop them:
+// /repos/{owner}/{repo}/... -> repos/owner/repo, /user/... -> user
+function cacheScope(apiPath) {
+  const segments = apiPath.toLowerCase().split('/').filter(Boolean);
+  return segments[0] === 'repos' ? segments.slice(0, 3).join('/') : (segments[0] || '');
+}
+
+// Size-bounded LRU: a Map iterates in insertion order, so re-inserting on
+// every hit keeps the least recently used entry first
+class MemoryCacheStore {
+  constructor(maxEntries) {
+    this.maxEntries = maxEntries;
+    this.entries = new Map();
   }
 
-  // Comment operations
-  async listIssueComments(owner, repo, issue_number) {
-    return await this.makeRequest(`/repos/${owner}/${repo}/issues/${issue_number}/comments`);
+  async get(key) {
+    const entry = this.entries.get(key);
+    if (!entry) {
+      return null;
+    }
+    this.entries.delete(key);
+    if (entry.storedAt + entry.ttl + CACHE_STALE_RETENTION < Date.now()) {
+      return null;
+    }
+    this.entries.set(key, entry);
+    return entry;
   }
 
-  async createIssueComment(owner, repo, issue_number, body) {
-    return await this.makeRequest(`/repos/${owner}/${repo}/issues/${issue_number}/comments`, {
-      method: 'POST',
-      headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify({ body })
-    });
+  async set(key, entry) {
+    this.entries.delete(key);
+    this.entries.set(key, entry);
+    while (this.entries.size > this.maxEntries) {
+      this.entries.delete(this.entries.keys().next().value);
+    }
   }
 
-  async updateIssue(owner, repo, issue_number, data) {
-    return await this.makeRequest(`/repos/${owner}/${repo}/issues/${issue_number}`, {
-      method: 'PATCH',
-      headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify(data)
-    });
+  async deleteScope(scope) {
+    for (const key of this.entries.keys()) {
+      if (key.startsWith(`${scope}|`)) {
+        this.entries.delete(key);
+      }
+    }
   }
+}
 
-  // File operations
-  async createOrUpdateFile(owner, repo, path, data) {
-    return await this.makeRequest(`/repos/${owner}/${repo}/contents/${path}`, {
-      method: 'PUT',
-      headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify(data)
-    });
+// Redis-compatible backend (Redis, Valkey, KeyDB...). Size is bounded by the
+// server's maxmemory setting; use an LRU eviction policy such as allkeys-lru.
+class RedisCacheStore {
+  constructor(url) {
+    // Optional dependency, only needed when this backend is configured
+    const Redis = require('ioredis');
+    this.prefix = process.env.GITHUB_CACHE_REDIS_PREFIX || 'github-mcp:';
+    this.client = new Redis(url, { maxRetriesPerRequest: 1 });
+    this.client.on('error', error => console.error('Cache backend error:', error.message));
   }
 
-  // Repository operations
-  async createRepository(data) {
-    return await this.makeRequest('/user/repos', {
-      method: 'POST',
-      headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify(data)
-    });
+  async get(key) {
+    try {
+      const value = await this.client.get(this.prefix + key);
+      return value ? JSON.parse(value) : null;
+    } catch (error) {
+      return null;
+    }
   }
 
-  async forkRepository(owner, repo) {
-    return await this.makeRequest(`/repos/${owner}/${repo}/forks`, {
-      method: 'POST',
-      headers: { 'Content-Type': 'application/json' }
-    });
+  async set(key, entry) {
+    try {
+      await this.client.set(this.prefix + key, JSON.stringify(entry), 'PX', entry.ttl + CACHE_STALE_RETENTION);
+    } catch (error) {
+      console.error('Cache write failed:', error.message);
+    }
   }
 
-  // User operations
-  async getAuthenticatedUser() {
-    return await this.makeRequest('/user');
+  async deleteScope(scope) {
+    const pattern = `${this.prefix}${scope}|*`.replace(/[?[\]]/g, '\\$&');
+    try {
+      let cursor = '0';
+      do {
+        const [next, keys] = await this.client.scan(cursor, 'MATCH', pattern, 'COUNT', 200);
+        if (keys.length > 0) {
+          await this.client.del(...keys);
+        }
+        cursor = next;
+      } while (cursor !== '0');
+    } catch (error) {
+      console.error('Cache invalidation failed:', error.message);
+    }
   }
+}
 
-  async getUser(username) {
-    return await this.makeRequest(`/users/${username}`);
+function loadCacheStore() {
+  const redisUrl = process.env.GITHUB_CACHE_REDIS_URL;
+  if (redisUrl) {
+    try {
+      return new RedisCacheStore(redisUrl);
+    } catch (error) {
+      const reason = error.code === 'MODULE_NOT_FOUND' ? 'the ioredis package is not installed' : error.message;
+      console.error(`Cannot use the Redis cache (${reason}); falling back to memory`);
+    }
   }
+  return CACHE_MAX_ENTRIES > 0 ? new MemoryCacheStore(CACHE_MAX_ENTRIES) : null;
 }
 
-const githubClient = new GitHubAPIClient();
+const cache = loadCacheStore();
 
-// MCP Server endpoints
-app.get('/mcp/tools', async (req, res) => {
-  try {
-    const tools = [
-      {
-        name: 'github_get_repository',
-        description: 'Get information about a GitHub repository',
-        inputSchema: {
-          type: 'object',
-          properties: {
-            owner: { type: 'string', description: 'Repository owner' },
-            repo: { type: 'string', description: 'Repository name' }
-          },
-          required: ['owner', 'repo']
-        }
-      },
-      {
-        name: 'github_list_repositories',
-        description: 'List repositories for the authenticated user',
-        inputSchema: {
-          type: 'object',
-          properties: {
-            per_page: { type: 'number', description: 'Number of results per page (max 100)', default: 30 },
-            sort: { type: 'string', enum: ['created', 'updated', 'pushed', 'full_name'], default: 'updated' }
-          }
-        }
-      },
-      {
-        name: 'github_list_issues',
-        description: 'List issues for a repository',
-        inputSchema: {
-          type: 'object',
-          properties: {
-            owner: { type: 'string', description: 'Repository owner' },
-            repo: { type: 'string', description: 'Repository name' },
-            state: { type: 'string', enum: ['open', 'closed', 'all'], default: 'open' }
-          },
-          required: ['owner', 'repo']
-        }
-      },
-      {
-        name: 'github_create_issue',
-        description: 'Create a new issue in a repository',
-        inputSchema: {
-          type: 'object',
-          properties: {
-            owner: { type: 'string', description: 'Repository owner' },
-            repo: { type: 'string', description: 'Repository name' },
-            title: { type: 'string', description: 'Issue title' },
-            body: { type: 'string', description: 'Issue body' },
-            labels: { type: 'array', items: { type: 'string' }, description: 'Issue labels' }
-          },
-          required: ['owner', 'repo', 'title']
-        }
-      },
-      {
-        name: 'github_get_file_content',
-        description: 'Get the content of a file from a repository',
-        inputSchema: {
-          type: 'object',
-          properties: {
-            owner: { type: 'string', description: 'Repository owner' },
-            repo: { type: 'string', description: 'Repository name' },
-            path: { type: 'string', description: 'File path' },
-            ref: { type: 'string', description: 'Branch/commit/tag reference', default: 'main' }
-          },
-          required: ['owner', 'repo', 'path']
-        }
-      }
-    ];
+// Root fields sent in one GraphQL document by the batching queue
+const GRAPHQL_BATCH_SIZE = 10;
+const GRAPHQL_RATE_LIMIT_FIELDS = 'rateLimit { cost remaining limit resetAt }';
 
-    res.json({ tools });
-  } catch (error) {
-    res.status(500).json({ error: error.message });
+// Typed error for a failed GraphQL response (GraphQL reports errors with status 200)
+function graphqlError(errors) {
+  const body = { message: errors.map(error => error.message).join('; '), errors };
+  const type = errors[0] && errors[0].type;
+  if (type === 'NOT_FOUND') return new GitHubNotFoundError(404, body);
+  if (type === 'FORBIDDEN') return new GitHubPermissionError(403, body);
+  return new GitHubAPIError(200, body, 'graphql_error');
+}
+
+// Upper bound on items gathered when following pagination links with max_items
+const MAX_PAGINATED_ITEMS = 1000;
+
+// Parse an RFC 8288 Link header into { rel: url }
+function parseLinkHeader(header) {
+  const links = {};
+  if (!header) {
+    return links;
   }
-});
+  for (const part of header.split(',')) {
+    const match = part.match(/<([^>]+)>\s*;\s*rel="([^"]+)"/);
+    if (match) {
+      links[match[2]] = match[1];
+    }
+  }
+  return links;
+}
+
+// Pagination cursors are opaque to clients: they wrap the endpoint of the
+// next page plus how many of its items were already returned
+function encodeCursor(endpoint, skip = 0) {
+  return Buffer.from(JSON.stringify({ e: endpoint, s: skip })).toString('base64url');
+}
 
-app.post('/mcp/tools/call', async (req, res) => {
+function decodeCursor(cursor, path) {
   try {
-    const { name, arguments: args } = req.body;
+    const { e: endpoint, s: skip } = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf-8'));
+    if (typeof endpoint === 'string' && endpoint.split('?')[0] === path && Number.isInteger(skip) && skip >= 0) {
+      return { endpoint, skip };
+    }
+  } catch (error) {
+    // Fall through to the invalid cursor error below
+  }
+  throw new JsonRpcError(-32602, 'Invalid params: cursor is invalid or belongs to a different listing', {
+    errors: [{ field: 'cursor', message: 'is invalid or belongs to a different listing' }]
+  });
+}
 
-    let result;
-    switch (name) {
-      case 'github_get_repository':
-        const repo = await githubClient.getRepository(args.owner, args.repo);
-        result = {
-          content: [
-            {
-              type: 'text',
-              text: `Repository: ${repo.full_name}
-Description: ${repo.description || 'No description'}
-Language: ${repo.language || 'Unknown'}
-Stars: ${repo.stargazers_count}
-Forks: ${repo.forks_count}
-Created: ${repo.created_at}
-Updated: ${repo.updated_at}
-URL: ${repo.html_url}`
-            }
-          ]
-        };
-        break;
+// Credentials for a single GitHub token (PAT or OAuth token)
+class TokenCredentials {
+  constructor(token) {
+    this.token = token;
+    this.identity = tokenIdentity(token);
+  }
 
-      case 'github_list_repositories':
-        const repos = await githubClient.listRepositories(args.per_page, args.sort);
-        const repoList = repos.map(repo =>
-          `${repo.full_name} - ${repo.description || 'No description'} (${repo.language || 'Unknown'})`
-        ).join('\n');
-        result = {
-          content: [
-            {
-              type: 'text',
-              text: `Found ${repos.length} repositories:\n\n${repoList}`
-            }
-          ]
-        };
-        break;
+  // A token acts the same whatever account a tool call targets
+  forOwner() {
+    return this;
+  }
 
-      case 'github_list_issues':
-        const issues = await githubClient.listIssues(args.owner, args.repo, args.state);
-        const issueList = issues.map(issue =>
-          `#${issue.number}: ${issue.title} (${issue.state}) - ${issue.user.login}`
-        ).join('\n');
-        result = {
-          content: [
-            {
-              type: 'text',
-              text: `Issues in ${args.owner}/${args.repo} (${args.state}):\n\n${issueList || 'No issues found'}`
-            }
-          ]
-        };
-        break;
+  async authorize() {
+    return { authorization: `token ${this.token}`, identity: this.identity };
+  }
+}
 
-      case 'github_create_issue':
-        const newIssue = await githubClient.createIssue(args.owner, args.repo, {
-          title: args.title,
-          body: args.body,
-          labels: args.labels
-        });
-        result = {
-          content: [
-            {
-              type: 'text',
-              text: `Created issue #${newIssue.number}: ${newIssue.title}\nURL: ${newIssue.html_url}`
-            }
-          ]
-        };
-        break;
+// Installation tokens are refreshed this long before GitHub expires them
+const INSTALLATION_TOKEN_REFRESH_MARGIN = 5 * 60 * 1000;
 
-      case 'github_get_file_content':
-        const fileData = await githubClient.getFileContent(args.owner, args.repo, args.path, args.ref);
-        if (fileData.type !== 'file') {
-          throw new Error('Path is not a file');
-        }
-        const content = Buffer.from(fileData.content, 'base64').toString('utf-8');
-        result = {
-          content: [
-            {
-              type: 'text',
-              text: `File: ${args.path} (${fileData.size} bytes)\n\n${content}`
-            }
-          ]
-        };
-        break;
+// GitHub App authentication: mints app JWTs, exchanges them for installation
+// access tokens, and finds the installation that covers a given owner
+class GitHubApp {
+  constructor({ appId, privateKey, installationId, baseURL }) {
+    this.appId = String(appId);
+    this.privateKey = crypto.createPrivateKey(privateKey);
+    this.configuredInstallationId = installationId ? String(installationId) : null;
+    this.defaultInstallationId = this.configuredInstallationId;
+    this.baseURL = baseURL;
+    this.tokens = new Map(); // installation id -> { token, expiresAt } or pending promise
+    this.installationsByOwner = new Map(); // lowercased owner -> installation id
+  }
 
-      default:
-        throw new Error(`Unknown tool: ${name}`);
-    }
+  createJwt() {
+    const now = Math.floor(Date.now() / 1000);
+    const header = Buffer.from(JSON.stringify({ alg: 'RS256', typ: 'JWT' })).toString('base64url');
+    // Backdate iat for clock drift; GitHub caps app JWTs at 10 minutes
+    const payload = Buffer.from(JSON.stringify({ iat: now - 60, exp: now + 540, iss: this.appId })).toString('base64url');
+    const signature = crypto.sign('sha256', Buffer.from(`${header}.${payload}`), this.privateKey).toString('base64url');
+    return `${header}.${payload}.${signature}`;
+  }
 
-    res.json(result);
-  } catch (error) {
-    res.status(500).json({
-      content: [
-        {
-          type: 'text',
-          text: `Error: ${error.message}`
-        }
-      ],
-      isError: true
+  async appRequest(endpoint, options = {}) {
+    const response = await fetch(`${this.baseURL}${endpoint}`, {
+      ...options,
+      headers: {
+        'Authorization': `Bearer ${this.createJwt()}`,
+        'Accept': 'application/vnd.github.v3+json',
+        'User-Agent': 'MCP-GitHub-Server/1.0'
+      }
     });
+    if (!response.ok) {
+      throw GitHubAPIError.fromResponse(response.status, await readErrorBody(response));
+    }
+    return await response.json();
   }
-});
 
-// MCP JSON-RPC Handler
-async function handleJsonRpcRequest(message) {
-  const { jsonrpc, id, method, params } = message;
+  async getInstallationToken(installationId) {
+    const cached = this.tokens.get(installationId);
+    if (cached && (cached.then || cached.expiresAt - Date.now() > INSTALLATION_TOKEN_REFRESH_MARGIN)) {
+      return (await cached).token;
+    }
 
-  if (method === 'initialize') {
-    return {
-      jsonrpc: '2.0',
-      id,
-      result: {
-        protocolVersion: '2024-11-05',
-        capabilities: {
-          tools: {}
-        },
-        serverInfo: {
-          name: 'github-mcp-server',
-          version: '1.0.0'
-        }
+    // Share one in-flight exchange between concurrent callers
+    const pending = this.appRequest(`/app/installations/${installationId}/access_tokens`, { method: 'POST' })
+      .then(data => {
+        const entry = { token: data.token, expiresAt: new Date(data.expires_at).getTime() };
+        this.tokens.set(installationId, entry);
+        return entry;
+      })
+      .catch(error => {
+        this.tokens.delete(installationId);
+        throw error;
+      });
+    this.tokens.set(installationId, pending);
+    return (await pending).token;
+  }
+
+  // Forget a looked-up installation that GitHub no longer recognises (it was
+  // removed or the app reinstalled), so the next call looks it up again
+  forgetInstallation(installationId) {
+    for (const [owner, id] of this.installationsByOwner) {
+      if (id === installationId) {
+        this.installationsByOwner.delete(owner);
       }
-    };
+    }
+    if (this.defaultInstallationId === installationId && installationId !== this.configuredInstallationId) {
+      this.defaultInstallationId = null;
+    }
   }
 
-  if (method === 'tools/list') {
-    const tools = [
-      {
-        name: 'github_get_repository',
-        description: 'Get information about a GitHub repository',
-        inputSchema: {
-          type: 'object',
-          properties: {
-            owner: { type: 'string', description: 'Repository owner' },
-            repo: { type: 'string', description: 'Repository name' }
-          },
-          required: ['owner', 'repo']
-        }
-      },
-      {
-        name: 'github_list_repositories',
-        description: 'List repositories for the authenticated user',
-        inputSchema: {
-          type: 'object',
-          properties: {
-            per_page: { type: 'number', description: 'Number of results per page (max 100)', default: 30 },
-            sort: { type: 'string', enum: ['created', 'updated', 'pushed', 'full_name'], default: 'updated' }
-          }
-        }
-      },
-      {
-        name: 'github_list_issues',
-        description: 'List issues for a repository',
-        inputSchema: {
-          type: 'object',
-          properties: {
-            owner: { type: 'string', description: 'Repository owner' },
-            repo: { type: 'string', description: 'Repository name' },
-            state: { type: 'string', enum: ['open', 'closed', 'all'], default: 'open' }
-          },
-          required: ['owner', 'repo']
-        }
-      },
-      {
-        name: 'github_create_issue',
-        description: 'Create a new issue in a repository',
-        inputSchema: {
-          type: 'object',
-          properties: {
-            owner: { type: 'string', description: 'Repository owner' },
-            repo: { type: 'string', description: 'Repository name' },
-            title: { type: 'string', description: 'Issue title' },
-            body: { type: 'string', description: 'Issue body' },
-            labels: { type: 'array', items: { type: 'string' }, description: 'Issue labels' }
-          },
-          required: ['owner', 'repo', 'title']
-        }
-      },
-      {
-        name: 'github_get_file_content',
-        description: 'Get the content of a file from a repository',
-        inputSchema: {
-          type: 'object',
-          properties: {
-            owner: { type: 'string', description: 'Repository owner' },
-            repo: { type: 'string', description: 'Repository name' },
-            path: { type: 'string', description: 'File path' },
-            ref: { type: 'string', description: 'Branch/commit/tag reference', default: 'main' }
-          },
-          required: ['owner', 'repo', 'path']
-        }
-      },
-      {
-        name: 'github_list_pull_requests',
-        description: 'List pull requests in a repository',
-        inputSchema: {
-          type: 'object',
-          properties: {
-            owner: { type: 'string', description: 'Repository owner' },
-            repo: { type: 'string', description: 'Repository name' },
-            state: { type: 'string', enum: ['open', 'closed', 'all'], default: 'open' },
-            per_page: { type: 'number', description: 'Number of results per page', default: 30 }
-          },
-          required: ['owner', 'repo']
-        }
-      },
-      {
-        name: 'github_get_pull_request',
-        description: 'Get details of a specific pull request',
-        inputSchema: {
-          type: 'object',
-          properties: {
-            owner: { type: 'string', description: 'Repository owner' },
-            repo: { type: 'string', description: 'Repository name' },
-            pull_number: { type: 'number', description: 'Pull request number' }
-          },
-          required: ['owner', 'repo', 'pull_number']
-        }
-      },
-      {
-        name: 'github_create_pull_request',
-        description: 'Create a new pull request',
-        inputSchema: {
-          type: 'object',
-          properties: {
-            owner: { type: 'string', description: 'Repository owner' },
-            repo: { type: 'string', description: 'Repository name' },
-            title: { type: 'string', description: 'Pull request title' },
-            head: { type: 'string', description: 'Name of the branch with the changes' },
-            base: { type: 'string', description: 'Name of the branch to merge changes into' },
-            body: { type: 'string', description: 'Pull request description' }
-          },
-          required: ['owner', 'repo', 'title', 'head', 'base']
-        }
-      },
-      {
-        name: 'github_merge_pull_request',
-        description: 'Merge an existing pull request',
-        inputSchema: {
-          type: 'object',
-          properties: {
-            owner: { type: 'string', description: 'Repository owner' },
-            repo: { type: 'string', description: 'Repository name' },
-            pull_number: { type: 'number', description: 'Pull request number' },
-            merge_method: { type: 'string', enum: ['merge', 'squash', 'rebase'], default: 'merge' }
-          },
-          required: ['owner', 'repo', 'pull_number']
-        }
-      },
-      {
-        name: 'github_list_branches',
-        description: 'List branches in a repository',
-        inputSchema: {
-          type: 'object',
-          properties: {
-            owner: { type: 'string', description: 'Repository owner' },
-            repo: { type: 'string', description: 'Repository name' },
-            per_page: { type: 'number', description: 'Number of results per page', default: 30 }
-          },
-          required: ['owner', 'repo']
-        }
-      },
-      {
-        name: 'github_get_branch',
-        description: 'Get details of a specific branch',
-        inputSchema: {
-          type: 'object',
-          properties: {
-            owner: { type: 'string', description: 'Repository owner' },
-            repo: { type: 'string', description: 'Repository name' },
-            branch: { type: 'string', description: 'Branch name' }
-          },
-          required: ['owner', 'repo', 'branch']
-        }
-      },
-      {
-        name: 'github_create_branch',
-        description: 'Create a new branch in a repository',
-        inputSchema: {
-          type: 'object',
-          properties: {
-            owner: { type: 'string', description: 'Repository owner' },
-            repo: { type: 'string', description: 'Repository name' },
-            branch: { type: 'string', description: 'Name of the new branch' },
-            from_branch: { type: 'string', description: 'Source branch to create from', default: 'main' }
-          },
-          required: ['owner', 'repo', 'branch']
-        }
-      },
-      {
-        name: 'github_list_commits',
-        description: 'List commits in a repository',
-        inputSchema: {
-          type: 'object',
-          properties: {
-            owner: { type: 'string', description: 'Repository owner' },
-            repo: { type: 'string', description: 'Repository name' },
-            sha: { type: 'string', description: 'SHA or branch to start from' },
-            per_page: { type: 'number', description: 'Number of results per page', default: 30 }
-          },
-          required: ['owner', 'repo']
-        }
-      },
-      {
-        name: 'github_get_commit',
-        description: 'Get details of a specific commit',
-        inputSchema: {
-          type: 'object',
-          properties: {
-            owner: { type: 'string', description: 'Repository owner' },
-            repo: { type: 'string', description: 'Repository name' },
-            ref: { type: 'string', description: 'Commit SHA' }
-          },
-          required: ['owner', 'repo', 'ref']
-        }
-      },
-      {
-        name: 'github_search_repositories',
-        description: 'Search for repositories',
-        inputSchema: {
-          type: 'object',
-          properties: {
-            query: { type: 'string', description: 'Search query' },
-            per_page: { type: 'number', description: 'Number of results per page', default: 30 }
-          },
-          required: ['query']
-        }
-      },
-      {
-        name: 'github_search_code',
-        description: 'Search for code in repositories',
-        inputSchema: {
-          type: 'object',
-          properties: {
-            query: { type: 'string', description: 'Search query' },
-            per_page: { type: 'number', description: 'Number of results per page', default: 30 }
-          },
-          required: ['query']
-        }
-      },
-      {
-        name: 'github_search_issues',
-        description: 'Search for issues across repositories',
-        inputSchema: {
-          type: 'object',
-          properties: {
-            query: { type: 'string', description: 'Search query' },
-            per_page: { type: 'number', description: 'Number of results per page', default: 30 }
-          },
-          required: ['query']
-        }
-      },
-      {
-        name: 'github_list_issue_comments',
-        description: 'List comments on an issue',
-        inputSchema: {
-          type: 'object',
-          properties: {
-            owner: { type: 'string', description: 'Repository owner' },
-            repo: { type: 'string', description: 'Repository name' },
-            issue_number: { type: 'number', description: 'Issue number' }
-          },
-          required: ['owner', 'repo', 'issue_number']
-        }
-      },
-      {
-        name: 'github_create_issue_comment',
-        description: 'Add a comment to an issue',
-        inputSchema: {
-          type: 'object',
-          properties: {
-            owner: { type: 'string', description: 'Repository owner' },
-            repo: { type: 'string', description: 'Repository name' },
-            issue_number: { type: 'number', description: 'Issue number' },
-            body: { type: 'string', description: 'Comment body' }
-          },
-          required: ['owner', 'repo', 'issue_number', 'body']
-        }
-      },
-      {
-        name: 'github_update_issue',
-        description: 'Update an existing issue',
-        inputSchema: {
-          type: 'object',
-          properties: {
-            owner: { type: 'string', description: 'Repository owner' },
-            repo: { type: 'string', description: 'Repository name' },
-            issue_number: { type: 'number', description: 'Issue number' },
-            state: { type: 'string', enum: ['open', 'closed'], description: 'Issue state' },
-            title: { type: 'string', description: 'Issue title' },
-            body: { type: 'string', description: 'Issue body' }
-          },
-          required: ['owner', 'repo', 'issue_number']
+  async findInstallation(owner) {
+    const key = owner.toLowerCase();
+    if (this.installationsByOwner.has(key)) {
+      return this.installationsByOwner.get(key);
+    }
+
+    let installation;
+    try {
+      installation = await this.appRequest(`/users/${encodeURIComponent(owner)}/installation`);
+    } catch (error) {
+      if (!(error instanceof GitHubNotFoundError)) {
+        throw error;
+      }
+      installation = await this.appRequest(`/orgs/${encodeURIComponent(owner)}/installation`);
+    }
+    const installationId = String(installation.id);
+    this.installationsByOwner.set(key, installationId);
+    return installationId;
+  }
+
+  // Installation for a tool call: the one covering `owner` when given,
+  // otherwise the configured default or the app's only installation
+  async resolveInstallation(owner) {
+    if (owner) {
+      try {
+        return await this.findInstallation(owner);
+      } catch (error) {
+        if (!(error instanceof GitHubNotFoundError)) {
+          throw error;
         }
-      },
-      {
-        name: 'github_create_or_update_file',
-        description: 'Create or update a file in a repository',
-        inputSchema: {
-          type: 'object',
-          properties: {
-            owner: { type: 'string', description: 'Repository owner' },
-            repo: { type: 'string', description: 'Repository name' },
-            path: { type: 'string', description: 'File path' },
-            message: { type: 'string', description: 'Commit message' },
-            content: { type: 'string', description: 'Base64 encoded file content' },
-            branch: { type: 'string', description: 'Branch to update', default: 'main' }
-          },
-          required: ['owner', 'repo', 'path', 'message', 'content']
+        error.hint = `The GitHub App is not installed on ${owner}.`;
+        throw error;
+      }
+    }
+    if (this.defaultInstallationId) {
+      return this.defaultInstallationId;
+    }
+
+    const installations = await this.appRequest('/app/installations?per_page=2');
+    if (installations.length === 1) {
+      this.defaultInstallationId = String(installations[0].id);
+      return this.defaultInstallationId;
+    }
+    throw new Error('Cannot choose a GitHub App installation for this call: set GITHUB_APP_INSTALLATION_ID or pass an owner');
+  }
+
+  forOwner(owner) {
+    return new GitHubAppCredentials(this, owner);
+  }
+}
+
+// Credentials for one tool call made as a GitHub App installation
+class GitHubAppCredentials {
+  constructor(app, owner) {
+    this.app = app;
+    this.owner = owner;
+  }
+
+  async authorize() {
+    const installationId = await this.app.resolveInstallation(this.owner);
+    let token;
+    try {
+      token = await this.app.getInstallationToken(installationId);
+    } catch (error) {
+      if (error instanceof GitHubNotFoundError || error instanceof GitHubAuthenticationError) {
+        this.app.forgetInstallation(installationId);
+      }
+      throw error;
+    }
+    return {
+      authorization: `token ${token}`,
+      identity: `app:${this.app.appId}:installation:${installationId}`
+    };
+  }
+}
+
+function loadGitHubApp() {
+  if (!process.env.GITHUB_APP_ID) {
+    return null;
+  }
+
+  const privateKey = process.env.GITHUB_APP_PRIVATE_KEY
+    ? process.env.GITHUB_APP_PRIVATE_KEY.replace(/\\n/g, '\n')
+    : process.env.GITHUB_APP_PRIVATE_KEY_PATH && fs.readFileSync(process.env.GITHUB_APP_PRIVATE_KEY_PATH, 'utf-8');
+  if (!privateKey) {
+    console.error('Error: GITHUB_APP_ID requires GITHUB_APP_PRIVATE_KEY or GITHUB_APP_PRIVATE_KEY_PATH');
+    process.exit(1);
+  }
+
+  return new GitHubApp({
+    appId: process.env.GITHUB_APP_ID,
+    privateKey,
+    installationId: process.env.GITHUB_APP_INSTALLATION_ID,
+    baseURL: GITHUB_API_URL
+  });
+}
+
+const githubApp = loadGitHubApp();
+
+// The URL and commit/object SHA a write produced, when GitHub returns them
+function resultReference(data) {
+  if (!data || typeof data !== 'object') {
+    return {};
+  }
+  const reference = {};
+  const url = data.html_url || (data.content && data.content.html_url);
+  const sha = data.sha || (data.commit && data.commit.sha) || (data.object && data.object.sha);
+  if (url) {
+    reference.url = url;
+  }
+  if (sha) {
+    reference.sha = sha;
+  }
+  return reference;
+}
+
+// GitHub REST client bound to one set of credentials. A client is created per
+// tool call; cache entries and rate-limit budgets are keyed by the credential
+// identity so one caller's data is never served to another.
+class GitHubAPIClient {
+  constructor(credentials) {
+    this.baseURL = GITHUB_API_URL;
+    this.credentials = credentials;
+    // Every GitHub request made through this client, for the audit log
+    this.requestLog = [];
+  }
+
+  logRequest(method, url, status, startedAt) {
+    const entry = {
+      method,
+      endpoint: url.startsWith(this.baseURL) ? url.slice(this.baseURL.length) : url,
+      status,
+      latencyMs: Date.now() - startedAt
+    };
+    this.requestLog.push(entry);
+    return entry;
+  }
+
+  buildHeaders(authorization, extraHeaders = {}) {
+    return {
+      'Authorization': authorization,
+      'Accept': 'application/vnd.github.v3+json',
+      'User-Agent': 'MCP-GitHub-Server/1.0',
+      ...extraHeaders
+    };
+  }
+
+  async makeRequest(endpoint, options = {}) {
+    const { data } = await this.request(endpoint, options);
+    return data;
+  }
+
+  // API path of a URL, without the base URL or query string
+  apiPath(url) {
+    const relative = url.startsWith(this.baseURL) ? url.slice(this.baseURL.length) : new URL(url).pathname;
+    return relative.split('?')[0];
+  }
+
+  // Send a GraphQL document and return { data, errors }. Queries also ask
+  // for rateLimit so the cost of each call is tracked; mutations cannot, so
+  // their cost is how far the X-RateLimit-Used header moved.
+  async graphqlRequest(query, variables = {}) {
+    const isQuery = /^\s*(query\b|\{)/.test(query);
+    const document = isQuery && !query.includes('rateLimit')
+      ? query.replace(/\}\s*$/, ` ${GRAPHQL_RATE_LIMIT_FIELDS} }`)
+      : query;
+
+    const { identity } = await this.credentials.authorize();
+    const budgetBefore = rateLimits.get(identity, 'graphql');
+    const endpoint = `${this.baseURL.replace(/\/v3\/?$/, '')}/graphql`;
+    const response = await this.makeRequest(endpoint, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ query: document, variables })
+    });
+
+    const data = response.data || {};
+    if (data.rateLimit) {
+      const { cost, remaining, limit, resetAt } = data.rateLimit;
+      rateLimits.record(identity, 'graphql', {
+        limit,
+        remaining,
+        used: limit - remaining,
+        reset: Math.floor(Date.parse(resetAt) / 1000)
+      });
+      this.recordGraphqlCost(cost, remaining);
+    } else if (!isQuery) {
+      // A new budget object means the response carried rate-limit headers.
+      // Concurrent calls can blur the difference, and every mutation costs
+      // at least a point, as does the first one of a window.
+      const budget = rateLimits.get(identity, 'graphql');
+      if (budget && budget !== budgetBefore) {
+        const sameWindow = budgetBefore && budgetBefore.reset === budget.reset;
+        this.recordGraphqlCost(sameWindow ? Math.max(budget.used - budgetBefore.used, 1) : 1, budget.remaining);
+      }
+    }
+    return { data, errors: response.errors || [] };
+  }
+
+  // Add a call's cost to this client's total and to its audit log entry
+  recordGraphqlCost(cost, remaining) {
+    this.graphqlCost = (this.graphqlCost || 0) + cost;
+    this.graphqlRemaining = remaining;
+    const logEntry = this.requestLog[this.requestLog.length - 1];
+    if (logEntry) {
+      logEntry.cost = cost;
+    }
+  }
+
+  // Run a GraphQL query or mutation, throwing on any error
+  async graphql(query, variables = {}) {
+    const { data, errors } = await this.graphqlRequest(query, variables);
+    if (errors.length > 0) {
+      throw graphqlError(errors);
+    }
+    return data;
+  }
+
+  // Queue a root-level selection such as 'repository(owner: $owner, name: $repo) { id }'
+  // with its variables ({ owner: { type: 'String!', value } }). Selections
+  // queued in the same tick are sent as one document, each under an alias.
+  graphqlField(selection, variables = {}) {
+    return new Promise((resolve, reject) => {
+      if (!this.graphqlQueue) {
+        this.graphqlQueue = [];
+        setImmediate(() => this.flushGraphqlQueue());
+      }
+      this.graphqlQueue.push({ selection, variables, resolve, reject });
+    });
+  }
+
+  async flushGraphqlQueue() {
+    const queue = this.graphqlQueue;
+    this.graphqlQueue = null;
+
+    for (let start = 0; start < queue.length; start += GRAPHQL_BATCH_SIZE) {
+      const batch = queue.slice(start, start + GRAPHQL_BATCH_SIZE);
+      const declarations = [];
+      const variables = {};
+      const fields = batch.map((entry, index) => {
+        const prefix = `b${index}_`;
+        for (const [name, { type, value }] of Object.entries(entry.variables)) {
+          declarations.push(`$${prefix}${name}: ${type}`);
+          variables[`${prefix}${name}`] = value;
         }
-      },
-      {
-        name: 'github_create_repository',
-        description: 'Create a new repository',
-        inputSchema: {
-          type: 'object',
-          properties: {
-            name: { type: 'string', description: 'Repository name' },
-            description: { type: 'string', description: 'Repository description' },
-            private: { type: 'boolean', description: 'Make repository private', default: false }
-          },
-          required: ['name']
+        return `b${index}: ${entry.selection.replace(/\$(\w+)/g, `$$${prefix}$1`)}`;
+      });
+      const query = `query${declarations.length > 0 ? `(${declarations.join(', ')})` : ''} { ${fields.join(' ')} }`;
+
+      try {
+        const { data, errors } = await this.graphqlRequest(query, variables);
+        batch.forEach((entry, index) => {
+          // Errors without a path concern the whole document
+          const fieldErrors = errors.filter(error => !error.path || error.path[0] === `b${index}`);
+          if (fieldErrors.length > 0) {
+            entry.reject(graphqlError(fieldErrors));
+          } else {
+            entry.resolve(data[`b${index}`]);
+          }
+        });
+      } catch (error) {
+        batch.forEach(entry => entry.reject(error));
+      }
+    }
+  }
+
+  // Footer reporting what the GraphQL calls of this client cost
+  graphqlCostSummary() {
+    if (this.graphqlCost === undefined) {
+      return '';
+    }
+    return `\n\nGraphQL cost: ${this.graphqlCost} point(s), ${this.graphqlRemaining} remaining this hour`;
+  }
+
+  // Drop cached responses for a repository after a change the cache cannot see
+  async invalidateRepository(owner, repo) {
+    if (cache) {
+      await cache.deleteScope(cacheScope(`/repos/${owner}/${repo}`));
+    }
+  }
+
+  // Perform a request and return the parsed body along with the Link header.
+  // `revalidate: true` skips a fresh cache entry but still sends its ETag.
+  async request(endpoint, { revalidate = false, ...options } = {}) {
+    const url = endpoint.startsWith('http') ? endpoint : `${this.baseURL}${endpoint}`;
+    const { authorization, identity } = await this.credentials.authorize();
+    const method = (options.method || 'GET').toUpperCase();
+    const apiPath = this.apiPath(url);
+    const scope = cacheScope(apiPath);
+
+    let cacheKey = null;
+    let cached = null;
+    if (cache && method === 'GET') {
+      const accept = (options.headers && options.headers.Accept) || '';
+      cacheKey = `${scope}|${identity}|${url}|${accept}`;
+      cached = await cache.get(cacheKey);
+      if (cached && !revalidate && Date.now() - cached.storedAt < cached.ttl) {
+        this.logRequest(method, url, 200, Date.now()).cached = true;
+        return { data: cached.data, link: cached.link };
+      }
+    }
+    // Stale entries with an ETag are revalidated instead of refetched
+    const conditionalHeaders = cached && cached.etag ? { 'If-None-Match': cached.etag } : {};
+
+    const resource = rateLimitResource(endpoint);
+    const retryable = RETRYABLE_METHODS.has(method);
+
+    let response;
+    let logEntry;
+    for (let attempt = 0; ; attempt++) {
+      await rateLimits.throttle(identity, resource);
+
+      const startedAt = Date.now();
+      try {
+        response = await fetch(url, {
+          ...options,
+          headers: this.buildHeaders(authorization, { ...conditionalHeaders, ...options.headers })
+        });
+        logEntry = this.logRequest(method, url, response.status, startedAt);
+      } catch (error) {
+        this.logRequest(method, url, null, startedAt);
+        // Network failure: retry idempotent requests, surface the rest
+        if (retryable && attempt < GITHUB_MAX_RETRIES) {
+          await sleep(backoffDelay(attempt));
+          continue;
         }
-      },
-      {
-        name: 'github_fork_repository',
-        description: 'Fork a repository',
-        inputSchema: {
-          type: 'object',
-          properties: {
-            owner: { type: 'string', description: 'Repository owner' },
-            repo: { type: 'string', description: 'Repository name' },
-            organization: { type: 'string', description: 'Optional organization to fork into' }
-          },
-          required: ['owner', 'repo']
+        throw error;
+      }
+
+      rateLimits.update(identity, resource, response.headers);
+      if (response.status === 304 && cached) {
+        logEntry.cached = true;
+        await cache.set(cacheKey, { ...cached, storedAt: Date.now() });
+        return { data: cached.data, link: cached.link };
+      }
+      if (response.ok) {
+        break;
+      }
+
+      const body = await readErrorBody(response);
+      const limited = detectRateLimit(response, resource, body);
+      if (limited) {
+        if (limited.secondary) {
+          rateLimits.block(identity, limited.resetAt.getTime());
         }
-      },
-      {
-        name: 'github_get_user',
-        description: 'Get details of a GitHub user',
-        inputSchema: {
-          type: 'object',
-          properties: {
-            username: { type: 'string', description: 'GitHub username' }
-          },
-          required: ['username']
+        if (retryable && attempt < GITHUB_MAX_RETRIES && limited.waitMs <= GITHUB_MAX_RETRY_WAIT) {
+          await sleep(limited.waitMs + Math.random() * 1000);
+          continue;
         }
+        throw new GitHubRateLimitError({
+          resource: limited.resource,
+          resetAt: limited.resetAt,
+          retryAfter: Math.ceil(limited.waitMs / 1000),
+          secondary: limited.secondary,
+          status: response.status,
+          body
+        });
       }
-    ];
 
-    return {
-      jsonrpc: '2.0',
-      id,
-      result: { tools }
+      if (response.status >= 500 && retryable && attempt < GITHUB_MAX_RETRIES) {
+        await sleep(backoffDelay(attempt));
+        continue;
+      }
+
+      throw GitHubAPIError.fromResponse(response.status, body);
+    }
+
+    const result = {
+      data: await readResponseBody(response),
+      link: response.headers.get('link')
     };
+    if (method !== 'GET') {
+      Object.assign(logEntry, resultReference(result.data));
+      if (cache) {
+        await cache.deleteScope(scope);
+      }
+    } else if (cacheKey) {
+      await cache.set(cacheKey, {
+        data: result.data,
+        link: result.link,
+        etag: response.headers.get('etag'),
+        storedAt: Date.now(),
+        ttl: cacheTtl(apiPath)
+      });
+    }
+    return result;
+  }
+
+  // Fetch one page of a list endpoint, or follow rel="next" links until
+  // max_items is reached. `itemsKey` names the array in wrapped responses
+  // (e.g. 'items' for search results).
+  async paginate(path, query = {}, { page, per_page, cursor, max_items, itemsKey } = {}) {
+    let endpoint;
+    let skip = 0;
+
+    if (cursor) {
+      ({ endpoint, skip } = decodeCursor(cursor, path));
+    } else {
+      const params = new URLSearchParams();
+      for (const [key, value] of Object.entries(query)) {
+        if (value !== undefined && value !== null) {
+          params.set(key, value);
+        }
+      }
+      // When collecting many items, fetch full pages to save requests
+      const pageSize = per_page || 30;
+      params.set('per_page', max_items ? Math.max(pageSize, Math.min(max_items, 100)) : pageSize);
+      if (page) {
+        params.set('page', page);
+      }
+      endpoint = `${path}?${params}`;
+    }
+
+    const limit = max_items ? Math.min(max_items, MAX_PAGINATED_ITEMS) : null;
+    const items = [];
+    let totalCount;
+    let nextCursor = null;
+
+    while (endpoint) {
+      const { data, link } = await this.request(endpoint);
+      const pageItems = (itemsKey ? data[itemsKey] : data).slice(skip);
+      if (itemsKey && data.total_count !== undefined) {
+        totalCount = data.total_count;
+      }
+
+      // GitHub's next links may use the ID form (/repositories/{id}/...);
+      // keep the listing's own path so cursors and cache scopes stay stable
+      const next = parseLinkHeader(link).next;
+      const nextEndpoint = next ? `${path}${new URL(next).search}` : null;
+      const room = limit ? limit - items.length : pageItems.length;
+
+      if (pageItems.length > room) {
+        items.push(...pageItems.slice(0, room));
+        nextCursor = encodeCursor(endpoint, skip + room);
+        break;
+      }
+
+      items.push(...pageItems);
+      nextCursor = nextEndpoint ? encodeCursor(nextEndpoint) : null;
+
+      if (!limit || items.length >= limit) {
+        break;
+      }
+      endpoint = nextEndpoint;
+      skip = 0;
+    }
+
+    return { items, totalCount, hasMore: nextCursor !== null, nextCursor };
+  }
+
+  async getRepository(owner, repo) {
+    return await this.makeRequest(`/repos/${owner}/${repo}`);
+  }
+
+  // Installation tokens cannot call /user/repos; list what the installation
+  // can reach instead (GitHub does not sort that listing)
+  async listRepositories(sort = 'updated', pagination = {}) {
+    if (this.credentials instanceof GitHubAppCredentials) {
+      return await this.paginate('/installation/repositories', {}, { ...pagination, itemsKey: 'repositories' });
+    }
+    return await this.paginate('/user/repos', { sort }, pagination);
+  }
+
+  async listIssues(owner, repo, state = 'open', pagination = {}) {
+    return await this.paginate(`/repos/${owner}/${repo}/issues`, { state }, pagination);
+  }
+
+  async getIssue(owner, repo, issue_number) {
+    return await this.makeRequest(`/repos/${owner}/${repo}/issues/${issue_number}`);
+  }
+
+  async createIssue(owner, repo, data) {
+    return await this.makeRequest(`/repos/${owner}/${repo}/issues`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(data)
+    });
+  }
+
+  // File or directory at a path; without a ref GitHub uses the default branch
+  async getFileContent(owner, repo, path, ref) {
+    const query = ref ? `?ref=${encodeURIComponent(ref)}` : '';
+    return await this.makeRequest(`/repos/${owner}/${repo}/contents/${encodePath(path)}${query}`);
+  }
+
+  async getBlob(owner, repo, sha) {
+    return await this.makeRequest(`/repos/${owner}/${repo}/git/blobs/${sha}`);
+  }
+
+  // Pull Request operations
+  async listPullRequests(owner, repo, state = 'open', pagination = {}) {
+    return await this.paginate(`/repos/${owner}/${repo}/pulls`, { state }, pagination);
+  }
+
+  async getPullRequest(owner, repo, pull_number) {
+    return await this.makeRequest(`/repos/${owner}/${repo}/pulls/${pull_number}`);
+  }
+
+  async createPullRequest(owner, repo, data) {
+    return await this.makeRequest(`/repos/${owner}/${repo}/pulls`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(data)
+    });
+  }
+
+  async updatePullRequest(owner, repo, pull_number, data) {
+    return await this.makeRequest(`/repos/${owner}/${repo}/pulls/${pull_number}`, {
+      method: 'PATCH',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(data)
+    });
+  }
+
+  async listPullRequestFiles(owner, repo, pull_number, pagination = {}) {
+    return await this.paginate(`/repos/${owner}/${repo}/pulls/${pull_number}/files`, {}, pagination);
+  }
+
+  async getPullRequestDiff(owner, repo, pull_number) {
+    return await this.makeRequest(`/repos/${owner}/${repo}/pulls/${pull_number}`, {
+      headers: { 'Accept': 'application/vnd.github.v3.diff' }
+    });
+  }
+
+  async listPullRequestReviews(owner, repo, pull_number, pagination = {}) {
+    return await this.paginate(`/repos/${owner}/${repo}/pulls/${pull_number}/reviews`, {}, pagination);
+  }
+
+  async listPullRequestReviewComments(owner, repo, pull_number, pagination = {}) {
+    return await this.paginate(`/repos/${owner}/${repo}/pulls/${pull_number}/comments`, {}, pagination);
+  }
+
+  async createPullRequestReview(owner, repo, pull_number, data) {
+    return await this.makeRequest(`/repos/${owner}/${repo}/pulls/${pull_number}/reviews`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(data)
+    });
+  }
+
+  async requestReviewers(owner, repo, pull_number, data) {
+    return await this.makeRequest(`/repos/${owner}/${repo}/pulls/${pull_number}/requested_reviewers`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(data)
+    });
+  }
+
+  // Draft state can only be changed through GraphQL
+  async setPullRequestDraft(owner, repo, pullRequest, draft) {
+    const mutation = draft
+      ? 'mutation($id: ID!) { convertPullRequestToDraft(input: { pullRequestId: $id }) { clientMutationId } }'
+      : 'mutation($id: ID!) { markPullRequestReadyForReview(input: { pullRequestId: $id }) { clientMutationId } }';
+    await this.graphql(mutation, { id: pullRequest.node_id });
+    await this.invalidateRepository(owner, repo);
+  }
+
+  async mergePullRequest(owner, repo, pull_number, data = {}) {
+    return await this.makeRequest(`/repos/${owner}/${repo}/pulls/${pull_number}/merge`, {
+      method: 'PUT',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(data)
+    });
+  }
+
+  // Branch operations
+  async listBranches(owner, repo, pagination = {}) {
+    return await this.paginate(`/repos/${owner}/${repo}/branches`, {}, pagination);
+  }
+
+  async getBranch(owner, repo, branch) {
+    return await this.makeRequest(`/repos/${owner}/${repo}/branches/${encodeURIComponent(branch)}`);
+  }
+
+  async createBranch(owner, repo, branch, sha) {
+    return await this.makeRequest(`/repos/${owner}/${repo}/git/refs`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ ref: `refs/heads/${branch}`, sha })
+    });
+  }
+
+  // Git Data operations
+  // Branch heads move under us, so a cached ref is always revalidated
+  async getRef(owner, repo, ref) {
+    return await this.makeRequest(`/repos/${owner}/${repo}/git/ref/${ref}`, { revalidate: true });
+  }
+
+  async updateRef(owner, repo, ref, sha, force = false) {
+    return await this.makeRequest(`/repos/${owner}/${repo}/git/refs/${ref}`, {
+      method: 'PATCH',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ sha, force })
+    });
+  }
+
+  async getGitCommit(owner, repo, sha) {
+    return await this.makeRequest(`/repos/${owner}/${repo}/git/commits/${sha}`);
+  }
+
+  async createGitCommit(owner, repo, data) {
+    return await this.makeRequest(`/repos/${owner}/${repo}/git/commits`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(data)
+    });
+  }
+
+  async getTree(owner, repo, tree_sha, recursive = false) {
+    return await this.makeRequest(`/repos/${owner}/${repo}/git/trees/${tree_sha}${recursive ? '?recursive=1' : ''}`);
+  }
+
+  async createTree(owner, repo, data) {
+    return await this.makeRequest(`/repos/${owner}/${repo}/git/trees`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(data)
+    });
+  }
+
+  async createBlob(owner, repo, content, encoding = 'utf-8') {
+    return await this.makeRequest(`/repos/${owner}/${repo}/git/blobs`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ content, encoding })
+    });
+  }
+
+  // Commit operations
+  async listCommits(owner, repo, sha = null, pagination = {}, { since, until } = {}) {
+    return await this.paginate(`/repos/${owner}/${repo}/commits`, { sha, since, until }, pagination);
+  }
+
+  async compareCommits(owner, repo, base, head) {
+    return await this.makeRequest(`/repos/${owner}/${repo}/compare/${encodeURIComponent(base)}...${encodeURIComponent(head)}`);
+  }
+
+  async listTags(owner, repo, pagination = {}) {
+    return await this.paginate(`/repos/${owner}/${repo}/tags`, {}, pagination);
+  }
+
+  async getCommit(owner, repo, ref, { revalidate = false } = {}) {
+    return await this.makeRequest(`/repos/${owner}/${repo}/commits/${encodeURIComponent(ref)}`, { revalidate });
+  }
+
+  // Statuses and checks
+  async getCombinedStatus(owner, repo, ref) {
+    return await this.makeRequest(`/repos/${owner}/${repo}/commits/${encodeURIComponent(ref)}/status?per_page=100`);
+  }
+
+  async listCheckRuns(owner, repo, ref, filters = {}, pagination = {}) {
+    return await this.paginate(`/repos/${owner}/${repo}/commits/${encodeURIComponent(ref)}/check-runs`, filters, { ...pagination, itemsKey: 'check_runs' });
+  }
+
+  async listCheckSuites(owner, repo, ref, pagination = {}) {
+    return await this.paginate(`/repos/${owner}/${repo}/commits/${encodeURIComponent(ref)}/check-suites`, {}, { ...pagination, itemsKey: 'check_suites' });
+  }
+
+  async listCheckRunAnnotations(owner, repo, check_run_id, pagination = {}) {
+    return await this.paginate(`/repos/${owner}/${repo}/check-runs/${check_run_id}/annotations`, {}, pagination);
+  }
+
+  // Active ruleset rules for a branch; unlike branch protection this needs no admin access
+  async getBranchRules(owner, repo, branch) {
+    return await this.makeRequest(`/repos/${owner}/${repo}/rules/branches/${encodeURIComponent(branch)}`);
+  }
+
+  // Actions operations
+  async listWorkflows(owner, repo, pagination = {}) {
+    return await this.paginate(`/repos/${owner}/${repo}/actions/workflows`, {}, { ...pagination, itemsKey: 'workflows' });
+  }
+
+  async listWorkflowRuns(owner, repo, workflow_id = null, filters = {}, pagination = {}) {
+    const path = workflow_id
+      ? `/repos/${owner}/${repo}/actions/workflows/${encodeURIComponent(workflow_id)}/runs`
+      : `/repos/${owner}/${repo}/actions/runs`;
+    return await this.paginate(path, filters, { ...pagination, itemsKey: 'workflow_runs' });
+  }
+
+  async getWorkflowRun(owner, repo, run_id) {
+    return await this.makeRequest(`/repos/${owner}/${repo}/actions/runs/${run_id}`);
+  }
+
+  async listWorkflowRunJobs(owner, repo, run_id, filter = 'latest') {
+    return await this.paginate(`/repos/${owner}/${repo}/actions/runs/${run_id}/jobs`, { filter }, { per_page: 100, max_items: 1000, itemsKey: 'jobs' });
+  }
+
+  // GitHub answers with a redirect to the plain-text log, which fetch follows
+  async getJobLogs(owner, repo, job_id) {
+    return await this.makeRequest(`/repos/${owner}/${repo}/actions/jobs/${job_id}/logs`);
+  }
+
+  async rerunWorkflowRun(owner, repo, run_id, failedOnly = true) {
+    return await this.makeRequest(`/repos/${owner}/${repo}/actions/runs/${run_id}/${failedOnly ? 'rerun-failed-jobs' : 'rerun'}`, {
+      method: 'POST'
+    });
+  }
+
+  async cancelWorkflowRun(owner, repo, run_id) {
+    return await this.makeRequest(`/repos/${owner}/${repo}/actions/runs/${run_id}/cancel`, {
+      method: 'POST'
+    });
+  }
+
+  async dispatchWorkflow(owner, repo, workflow_id, ref, inputs = {}) {
+    return await this.makeRequest(`/repos/${owner}/${repo}/actions/workflows/${encodeURIComponent(workflow_id)}/dispatches`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ ref, inputs })
+    });
+  }
+
+  async listArtifacts(owner, repo, run_id = null, name = null, pagination = {}) {
+    const path = run_id
+      ? `/repos/${owner}/${repo}/actions/runs/${run_id}/artifacts`
+      : `/repos/${owner}/${repo}/actions/artifacts`;
+    return await this.paginate(path, { name }, { ...pagination, itemsKey: 'artifacts' });
+  }
+
+  async getArtifact(owner, repo, artifact_id) {
+    return await this.makeRequest(`/repos/${owner}/${repo}/actions/artifacts/${artifact_id}`);
+  }
+
+  // Release operations
+  async listReleases(owner, repo, pagination = {}) {
+    return await this.paginate(`/repos/${owner}/${repo}/releases`, {}, pagination);
+  }
+
+  async getRelease(owner, repo, release_id) {
+    return await this.makeRequest(`/repos/${owner}/${repo}/releases/${release_id}`);
+  }
+
+  async getReleaseByTag(owner, repo, tag) {
+    return await this.makeRequest(`/repos/${owner}/${repo}/releases/tags/${encodeURIComponent(tag)}`);
+  }
+
+  async getLatestRelease(owner, repo) {
+    return await this.makeRequest(`/repos/${owner}/${repo}/releases/latest`);
+  }
+
+  async createRelease(owner, repo, data) {
+    return await this.makeRequest(`/repos/${owner}/${repo}/releases`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(data)
+    });
+  }
+
+  async updateRelease(owner, repo, release_id, data) {
+    return await this.makeRequest(`/repos/${owner}/${repo}/releases/${release_id}`, {
+      method: 'PATCH',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(data)
+    });
+  }
+
+  async deleteRelease(owner, repo, release_id) {
+    return await this.makeRequest(`/repos/${owner}/${repo}/releases/${release_id}`, {
+      method: 'DELETE'
+    });
+  }
+
+  async generateReleaseNotes(owner, repo, data) {
+    return await this.makeRequest(`/repos/${owner}/${repo}/releases/generate-notes`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(data)
+    });
+  }
+
+  // Assets go to the uploads host named by the release's upload_url template
+  async uploadReleaseAsset(release, name, content, contentType, label = null) {
+    const params = new URLSearchParams({ name });
+    if (label) {
+      params.set('label', label);
+    }
+    return await this.makeRequest(`${release.upload_url.replace(/\{.*\}$/, '')}?${params}`, {
+      method: 'POST',
+      headers: { 'Content-Type': contentType },
+      body: content
+    });
+  }
+
+  // Tag operations
+  async createRef(owner, repo, ref, sha) {
+    return await this.makeRequest(`/repos/${owner}/${repo}/git/refs`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ ref, sha })
+    });
+  }
+
+  async createTagObject(owner, repo, data) {
+    return await this.makeRequest(`/repos/${owner}/${repo}/git/tags`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(data)
+    });
+  }
+
+  // Search operations
+  async searchRepositories(query, pagination = {}) {
+    return await this.paginate('/search/repositories', { q: query }, { ...pagination, itemsKey: 'items' });
+  }
+
+  async searchCode(query, pagination = {}) {
+    return await this.paginate('/search/code', { q: query }, { ...pagination, itemsKey: 'items' });
+  }
+
+  async searchIssues(query, pagination = {}) {
+    return await this.paginate('/search/issues', { q: query }, { ...pagination, itemsKey: 'items' });
+  }
+
+  // Comment operations
+  async listIssueComments(owner, repo, issue_number, pagination = {}) {
+    return await this.paginate(`/repos/${owner}/${repo}/issues/${issue_number}/comments`, {}, pagination);
+  }
+
+  async createIssueComment(owner, repo, issue_number, body) {
+    return await this.makeRequest(`/repos/${owner}/${repo}/issues/${issue_number}/comments`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ body })
+    });
+  }
+
+  async updateIssue(owner, repo, issue_number, data) {
+    return await this.makeRequest(`/repos/${owner}/${repo}/issues/${issue_number}`, {
+      method: 'PATCH',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(data)
+    });
+  }
+
+  // File operations
+  async createOrUpdateFile(owner, repo, path, data) {
+    return await this.makeRequest(`/repos/${owner}/${repo}/contents/${encodePath(path)}`, {
+      method: 'PUT',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(data)
+    });
+  }
+
+  // Repository operations
+  async createRepository(data) {
+    return await this.makeRequest('/user/repos', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(data)
+    });
+  }
+
+  async forkRepository(owner, repo, organization) {
+    return await this.makeRequest(`/repos/${owner}/${repo}/forks`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(organization ? { organization } : {})
+    });
+  }
+
+  // Rate limit status (this endpoint does not count against the limit)
+  async getRateLimit() {
+    const { authorization, identity } = await this.credentials.authorize();
+    const response = await fetch(`${this.baseURL}/rate_limit`, { headers: this.buildHeaders(authorization) });
+    if (!response.ok) {
+      throw GitHubAPIError.fromResponse(response.status, await readErrorBody(response));
+    }
+
+    const data = await response.json();
+    for (const [resource, budget] of Object.entries(data.resources || {})) {
+      rateLimits.record(identity, resource, budget);
+    }
+    return data;
+  }
+
+  // User operations
+  async getAuthenticatedUser() {
+    return await this.makeRequest('/user');
+  }
+
+  async listUserOrganizations() {
+    return await this.makeRequest('/user/orgs?per_page=100');
+  }
+
+  async getUser(username) {
+    return await this.makeRequest(`/users/${username}`);
+  }
+}
+
+
+// Shared input schema properties
+const REPO_PROPERTIES = {
+  owner: { type: 'string', description: 'Repository owner', minLength: 1 },
+  repo: { type: 'string', description: 'Repository name', minLength: 1 }
+};
+
+// Pagination arguments shared by every list and search tool
+const PAGINATION_PROPERTIES = {
+  page: { type: 'integer', description: 'Page number to fetch (1-based)', minimum: 1 },
+  per_page: { type: 'integer', description: 'Number of results per page (max 100)', minimum: 1, maximum: 100, default: 30 },
+  cursor: { type: 'string', description: 'Opaque cursor from a previous response to continue where it left off' },
+  max_items: { type: 'integer', description: `Follow pagination until this many items are collected (max ${MAX_PAGINATED_ITEMS})`, minimum: 1, maximum: MAX_PAGINATED_ITEMS }
+};
+
+function paginationArgs(args) {
+  return {
+    page: args.page,
+    per_page: args.per_page,
+    cursor: args.cursor,
+    max_items: args.max_items
+  };
+}
+
+// Footer telling the model how much it has seen and how to get the rest
+function formatPaginationFooter(result) {
+  const total = result.totalCount !== undefined ? ` of ${result.totalCount} total` : '';
+  const more = result.hasMore
+    ? `More results available. Pass cursor "${result.nextCursor}" to continue.`
+    : 'No more results.';
+  return `\n\nShowing ${result.items.length}${total}. ${more}`;
+}
+
+function formatPullRequest(pullRequest) {
+  const state = pullRequest.merged ? 'merged' : pullRequest.state;
+  const reviewers = [
+    ...(pullRequest.requested_reviewers || []).map(user => user.login),
+    ...(pullRequest.requested_teams || []).map(team => `team:${team.slug}`)
+  ];
+  const lines = [
+    `Pull Request #${pullRequest.number}: ${pullRequest.title}`,
+    `State: ${state}${pullRequest.draft ? ' (draft)' : ''}`,
+    `Author: ${pullRequest.user.login}`,
+    `Branches: ${pullRequest.head.label || pullRequest.head.ref} -> ${pullRequest.base.ref}`,
+    `Head SHA: ${pullRequest.head.sha}`,
+    `Mergeable: ${pullRequest.mergeable === null || pullRequest.mergeable === undefined ? 'unknown' : pullRequest.mergeable} (${pullRequest.mergeable_state || 'unknown'})`,
+    `Changes: ${pullRequest.commits} commits, ${pullRequest.changed_files} files, +${pullRequest.additions} -${pullRequest.deletions}`,
+    `Labels: ${(pullRequest.labels || []).map(label => label.name).join(', ') || 'none'}`,
+    `Requested reviewers: ${reviewers.join(', ') || 'none'}`,
+    `Created: ${pullRequest.created_at}`,
+    `Updated: ${pullRequest.updated_at}`
+  ];
+  if (pullRequest.merged_at) {
+    lines.push(`Merged: ${pullRequest.merged_at}${pullRequest.merged_by ? ` by ${pullRequest.merged_by.login}` : ''}`);
+  }
+  lines.push(`URL: ${pullRequest.html_url}`);
+  lines.push('', pullRequest.body || '(no description)');
+  return lines.join('\n');
+}
+
+// Encode a repository file path for a URL, keeping the slashes
+function encodePath(filePath) {
+  return filePath.split('/').map(encodeURIComponent).join('/');
+}
+
+// Commit a set of file operations to a branch as one commit: create blobs,
+// a tree on top of the head commit's tree and a commit, then fast-forward
+// the branch. Fails without changing the branch if it moved meanwhile.
+async function commitFileOperations(github, { owner, repo, branch, message, operations, expected_head_sha }) {
+  const seen = new Set();
+  for (const operation of operations) {
+    for (const filePath of [operation.path, operation.previous_path].filter(Boolean)) {
+      if (seen.has(filePath)) {
+        throw new Error(`Path ${filePath} appears in more than one operation`);
+      }
+      seen.add(filePath);
+    }
+    if (operation.action === 'rename' && !operation.previous_path) {
+      throw new Error(`Rename of ${operation.path} needs previous_path`);
+    }
+    if ((operation.action === 'add' || operation.action === 'modify') && operation.content === undefined) {
+      throw new Error(`${operation.action} of ${operation.path} needs content`);
+    }
+  }
+
+  const ref = await github.getRef(owner, repo, `heads/${branch}`);
+  const headSha = ref.object.sha;
+  if (expected_head_sha && expected_head_sha !== headSha) {
+    const error = new GitHubConflictError(409, {
+      message: `Branch ${branch} is at ${headSha}, not the expected ${expected_head_sha}`
+    });
+    error.hint = 'Someone else pushed to the branch. Re-read the files you changed, then retry with the new head SHA.';
+    throw error;
+  }
+  const headCommit = await github.getGitCommit(owner, repo, headSha);
+
+  // Existing files keep their mode (e.g. executable), and renames without
+  // new content reuse the existing blob
+  let baseTree = null;
+  const findBaseEntry = async filePath => {
+    if (!baseTree) {
+      baseTree = await github.getTree(owner, repo, headCommit.tree.sha, true);
+    }
+    const entry = baseTree.tree.find(candidate => candidate.path === filePath);
+    return entry && entry.type === 'blob' ? entry : null;
+  };
+
+  const treeEntries = [];
+  for (const operation of operations) {
+    if (operation.action === 'delete' || operation.action === 'rename') {
+      const previousPath = operation.action === 'rename' ? operation.previous_path : operation.path;
+      treeEntries.push({ path: previousPath, mode: '100644', type: 'blob', sha: null });
+      if (operation.action === 'delete') {
+        continue;
+      }
+    }
+
+    const existing = await findBaseEntry(operation.action === 'rename' ? operation.previous_path : operation.path);
+    let blobSha;
+    if (operation.content !== undefined) {
+      blobSha = (await github.createBlob(owner, repo, operation.content, operation.encoding)).sha;
+    } else if (existing) {
+      blobSha = existing.sha;
+    } else {
+      throw new Error(baseTree.truncated
+        ? `Cannot find ${operation.previous_path} in the branch's tree (the tree is too large to list); pass its content to rename it`
+        : `Cannot rename ${operation.previous_path}: no such file on ${branch}`);
+    }
+
+    let mode = existing ? existing.mode : '100644';
+    if (operation.executable !== undefined) {
+      mode = operation.executable ? '100755' : '100644';
+    }
+    treeEntries.push({ path: operation.path, mode, type: 'blob', sha: blobSha });
+  }
+
+  const tree = await github.createTree(owner, repo, { base_tree: headCommit.tree.sha, tree: treeEntries });
+  const commit = await github.createGitCommit(owner, repo, { message, tree: tree.sha, parents: [headSha] });
+
+  try {
+    await github.updateRef(owner, repo, `heads/${branch}`, commit.sha);
+  } catch (error) {
+    if (error instanceof GitHubValidationError && /fast.forward/i.test(error.githubMessage || '')) {
+      const conflict = new GitHubConflictError(409, { message: `Branch ${branch} moved while committing; nothing was changed` });
+      conflict.hint = 'Re-read the branch and retry the commit.';
+      throw conflict;
+    }
+    throw error;
+  }
+
+  return { commit, parentSha: headSha };
+}
+
+function formatSize(bytes) {
+  if (bytes < 1024) {
+    return `${bytes} B`;
+  }
+  const units = ['KB', 'MB', 'GB'];
+  let value = bytes / 1024;
+  let unit = 0;
+  while (value >= 1024 && unit < units.length - 1) {
+    value /= 1024;
+    unit++;
+  }
+  return `${value.toFixed(1)} ${units[unit]}`;
+}
+
+// Decode file bytes as text, as UTF-8 unless an encoding is given. A UTF-16
+// BOM overrides the encoding. When no encoding is given, files with a NUL
+// byte in the first 8000 bytes are treated as binary (git's heuristic).
+function decodeFileContent(buffer, encoding = null) {
+  if (buffer[0] === 0xff && buffer[1] === 0xfe) {
+    encoding = 'utf-16le';
+  } else if (buffer[0] === 0xfe && buffer[1] === 0xff) {
+    encoding = 'utf-16be';
+  } else if (!encoding && buffer.subarray(0, 8000).includes(0)) {
+    return { binary: true };
+  }
+
+  let decoder;
+  try {
+    decoder = new TextDecoder(encoding || 'utf-8');
+  } catch (error) {
+    throw new Error(`Unsupported encoding: ${encoding}`);
+  }
+  return { binary: false, text: decoder.decode(buffer), encoding: decoder.encoding };
+}
+
+// One line per directory entry, directories first
+function formatDirectoryEntries(entries) {
+  const order = { dir: 0, submodule: 1, symlink: 2, file: 3 };
+  return [...entries]
+    .sort((a, b) => order[a.type] - order[b.type] || a.name.localeCompare(b.name))
+    .map(entry => entry.type === 'dir'
+      ? `${entry.name}/`
+      : `${entry.name}${entry.type === 'file' ? ` (${formatSize(entry.size)})` : ` [${entry.type}]`}`)
+    .join('\n');
+}
+
+// Resolve the tree for `path` at `ref` by walking down from the root tree,
+// so subtrees can be listed even when the full recursive tree is too large
+async function resolveTreeSha(github, owner, repo, ref, treePath) {
+  let sha = ref;
+  const segments = treePath.split('/').filter(Boolean);
+  for (let i = 0; i < segments.length; i++) {
+    const tree = await github.getTree(owner, repo, sha);
+    const entry = tree.tree.find(candidate => candidate.path === segments[i]);
+    if (!entry || entry.type !== 'tree') {
+      throw new GitHubNotFoundError(404, { message: `No directory ${segments.slice(0, i + 1).join('/')} at ${ref}` });
+    }
+    sha = entry.sha;
+  }
+  return sha;
+}
+
+function summarizeTree(entries) {
+  const files = entries.filter(entry => entry.type === 'blob');
+  const totalSize = files.reduce((sum, entry) => sum + (entry.size || 0), 0);
+  const extensions = new Map();
+  for (const file of files) {
+    const name = file.path.split('/').pop();
+    const extension = name.includes('.') && !name.startsWith('.') ? name.slice(name.lastIndexOf('.')) : '(none)';
+    const stats = extensions.get(extension) || { count: 0, size: 0 };
+    stats.count++;
+    stats.size += file.size || 0;
+    extensions.set(extension, stats);
+  }
+  const topExtensions = [...extensions]
+    .sort((a, b) => b[1].count - a[1].count)
+    .slice(0, 10)
+    .map(([extension, stats]) => `${extension} ${stats.count} (${formatSize(stats.size)})`);
+
+  const lines = [
+    `${files.length} files (${formatSize(totalSize)}), ${entries.filter(entry => entry.type === 'tree').length} directories` +
+      `${entries.some(entry => entry.type === 'commit') ? `, ${entries.filter(entry => entry.type === 'commit').length} submodules` : ''}`
+  ];
+  if (topExtensions.length > 0) {
+    lines.push(`By type: ${topExtensions.join(', ')}`);
+  }
+  return lines.join('\n');
+}
+
+const PULL_REQUEST_OVERVIEW_QUERY = `query($owner: String!, $repo: String!, $number: Int!) {
+  repository(owner: $owner, name: $repo) {
+    pullRequest(number: $number) {
+      number title url state isDraft merged mergeable reviewDecision
+      author { login }
+      baseRefName headRefName headRefOid
+      additions deletions changedFiles createdAt updatedAt
+      labels(first: 20) { nodes { name } }
+      reviewRequests(first: 20) { nodes { requestedReviewer { ... on User { login } ... on Team { slug } } } }
+      latestOpinionatedReviews(first: 20) { nodes { author { login } state submittedAt } }
+      reviewThreads(first: 100) { totalCount nodes { isResolved isOutdated path line comments(first: 1) { nodes { author { login } body } } } }
+      comments { totalCount }
+      closingIssuesReferences(first: 20) { nodes { number title state url } }
+      commits(last: 1) {
+        nodes {
+          commit {
+            statusCheckRollup {
+              state
+              contexts(first: 100) {
+                totalCount
+                nodes {
+                  __typename
+                  ... on CheckRun { name status conclusion detailsUrl }
+                  ... on StatusContext { context state targetUrl }
+                }
+              }
+            }
+          }
+        }
+      }
+    }
+  }
+}`;
+
+const ISSUE_TIMELINE_QUERY = `query($owner: String!, $repo: String!, $number: Int!, $first: Int!, $after: String) {
+  repository(owner: $owner, name: $repo) {
+    issue(number: $number) {
+      number title url state stateReason createdAt body
+      author { login }
+      labels(first: 20) { nodes { name } }
+      assignees(first: 10) { nodes { login } }
+      timelineItems(first: $first, after: $after) {
+        totalCount
+        pageInfo { hasNextPage endCursor }
+        nodes {
+          __typename
+          ... on IssueComment { author { login } createdAt body }
+          ... on LabeledEvent { actor { login } createdAt label { name } }
+          ... on UnlabeledEvent { actor { login } createdAt label { name } }
+          ... on AssignedEvent { actor { login } createdAt assignee { ... on User { login } } }
+          ... on UnassignedEvent { actor { login } createdAt assignee { ... on User { login } } }
+          ... on ClosedEvent { actor { login } createdAt stateReason }
+          ... on ReopenedEvent { actor { login } createdAt }
+          ... on RenamedTitleEvent { actor { login } createdAt previousTitle currentTitle }
+          ... on MilestonedEvent { actor { login } createdAt milestoneTitle }
+          ... on DemilestonedEvent { actor { login } createdAt milestoneTitle }
+          ... on CrossReferencedEvent { actor { login } createdAt source { ... on Issue { number title url } ... on PullRequest { number title url } } }
+          ... on ReferencedEvent { actor { login } createdAt commit { oid messageHeadline } }
+          ... on ConnectedEvent { actor { login } createdAt subject { ... on Issue { number title } ... on PullRequest { number title } } }
+        }
+      }
+    }
+  }
+}`;
+
+const PULL_REQUEST_READINESS_QUERY = `query($owner: String!, $repo: String!, $number: Int!) {
+  repository(owner: $owner, name: $repo) {
+    pullRequest(number: $number) {
+      number title url state isDraft mergeable mergeStateStatus reviewDecision headRefOid baseRefName
+      baseRef {
+        branchProtectionRule {
+          requiresApprovingReviews requiredApprovingReviewCount requiresCodeOwnerReviews
+          requiredStatusCheckContexts requiresConversationResolution
+        }
+      }
+      latestOpinionatedReviews(first: 50) { nodes { author { login } state } }
+      reviewThreads(first: 100) { totalCount nodes { isResolved isOutdated path line } }
+      commits(last: 1) {
+        nodes {
+          commit {
+            statusCheckRollup {
+              contexts(first: 100) {
+                nodes {
+                  __typename
+                  ... on CheckRun { name status conclusion detailsUrl isRequired(pullRequestNumber: $number) }
+                  ... on StatusContext { context state targetUrl isRequired(pullRequestNumber: $number) }
+                }
+              }
+            }
+          }
+        }
+      }
+    }
+  }
+}`;
+
+// Projects v2 live under an organization or a user; ask for both shapes
+function projectOwnerSelection(selection) {
+  return `repositoryOwner(login: $owner) { ... on Organization { ${selection} } ... on User { ${selection} } }`;
+}
+
+const PROJECT_FIELDS_SELECTION = `fields(first: 50) {
+  nodes {
+    ... on ProjectV2FieldCommon { id name dataType }
+    ... on ProjectV2SingleSelectField { options { id name } }
+    ... on ProjectV2IterationField { configuration { iterations { id title startDate } } }
+  }
+}`;
+
+const PROJECT_FIELD_NAME = 'field { ... on ProjectV2FieldCommon { name } }';
+
+const PROJECT_ITEMS_SELECTION = `projectV2(number: $number) {
+  id title url
+  items(first: $first, after: $after) {
+    totalCount
+    pageInfo { hasNextPage endCursor }
+    nodes {
+      id type isArchived
+      content {
+        ... on Issue { number title state url repository { nameWithOwner } }
+        ... on PullRequest { number title state url repository { nameWithOwner } }
+        ... on DraftIssue { title }
+      }
+      fieldValues(first: 20) {
+        nodes {
+          __typename
+          ... on ProjectV2ItemFieldTextValue { text ${PROJECT_FIELD_NAME} }
+          ... on ProjectV2ItemFieldNumberValue { number ${PROJECT_FIELD_NAME} }
+          ... on ProjectV2ItemFieldDateValue { date ${PROJECT_FIELD_NAME} }
+          ... on ProjectV2ItemFieldSingleSelectValue { name ${PROJECT_FIELD_NAME} }
+          ... on ProjectV2ItemFieldIterationValue { title ${PROJECT_FIELD_NAME} }
+        }
+      }
+    }
+  }
+}`;
+
+function formatPullRequestOverview(pullRequest) {
+  const login = actor => (actor ? actor.login || actor.slug : 'ghost');
+  const lines = [
+    `Pull Request #${pullRequest.number}: ${pullRequest.title}`,
+    `State: ${pullRequest.merged ? 'MERGED' : pullRequest.state}${pullRequest.isDraft ? ' (draft)' : ''}`,
+    `Author: ${login(pullRequest.author)}`,
+    `Branches: ${pullRequest.headRefName} -> ${pullRequest.baseRefName} (head ${pullRequest.headRefOid})`,
+    `Changes: ${pullRequest.changedFiles} files, +${pullRequest.additions} -${pullRequest.deletions}`,
+    `Mergeable: ${pullRequest.mergeable}`,
+    `Review decision: ${pullRequest.reviewDecision || 'none'}`,
+    `Labels: ${pullRequest.labels.nodes.map(label => label.name).join(', ') || 'none'}`,
+    `Requested reviewers: ${pullRequest.reviewRequests.nodes.map(request => login(request.requestedReviewer)).join(', ') || 'none'}`
+  ];
+
+  const reviews = pullRequest.latestOpinionatedReviews.nodes;
+  lines.push('', `Reviews (latest per reviewer):${reviews.length === 0 ? ' none' : ''}`);
+  for (const review of reviews) {
+    lines.push(`- ${login(review.author)}: ${review.state} at ${review.submittedAt}`);
+  }
+
+  const lastCommit = pullRequest.commits.nodes[0];
+  const rollup = lastCommit && lastCommit.commit.statusCheckRollup;
+  if (rollup) {
+    const checks = rollup.contexts.nodes.map(context => context.__typename === 'CheckRun'
+      ? { name: context.name, result: context.conclusion || context.status, url: context.detailsUrl }
+      : { name: context.context, result: context.state, url: context.targetUrl });
+    // Problems first
+    const passing = new Set(['SUCCESS', 'NEUTRAL', 'SKIPPED']);
+    checks.sort((a, b) => passing.has(a.result) - passing.has(b.result));
+    lines.push('', `Checks: ${rollup.state} (${rollup.contexts.totalCount} total)`);
+    for (const check of checks) {
+      lines.push(`- ${check.name}: ${check.result}${!passing.has(check.result) && check.url ? ` (${check.url})` : ''}`);
+    }
+  } else {
+    lines.push('', 'Checks: none reported');
+  }
+
+  const threads = pullRequest.reviewThreads.nodes;
+  const unresolved = threads.filter(thread => !thread.isResolved);
+  lines.push('', `Review threads: ${unresolved.length} unresolved of ${pullRequest.reviewThreads.totalCount}`);
+  for (const thread of unresolved) {
+    const first = thread.comments.nodes[0];
+    const excerpt = first ? `${login(first.author)}: ${first.body.replace(/\s+/g, ' ').slice(0, 120)}` : '';
+    lines.push(`- ${thread.path}${thread.line ? `:${thread.line}` : ''}${thread.isOutdated ? ' (outdated)' : ''} ${excerpt}`);
+  }
+
+  const issues = pullRequest.closingIssuesReferences.nodes;
+  lines.push('', `Linked issues:${issues.length === 0 ? ' none' : ''}`);
+  for (const issue of issues) {
+    lines.push(`- #${issue.number}: ${issue.title} (${issue.state}) ${issue.url}`);
+  }
+
+  lines.push('', `Comments: ${pullRequest.comments.totalCount}`, `URL: ${pullRequest.url}`);
+  return lines.join('\n');
+}
+
+// One line per timeline event
+function formatTimelineItem(item) {
+  const who = item.actor || item.author;
+  const prefix = `${item.createdAt || ''} ${who ? who.login : 'ghost'}`;
+  const subject = source => (source && source.number ? `#${source.number} ${source.title}` : 'an item');
+  switch (item.__typename) {
+    case 'IssueComment':
+      return `${prefix} commented:\n  ${item.body.replace(/\n/g, '\n  ')}`;
+    case 'LabeledEvent':
+      return `${prefix} added label ${item.label.name}`;
+    case 'UnlabeledEvent':
+      return `${prefix} removed label ${item.label.name}`;
+    case 'AssignedEvent':
+      return `${prefix} assigned ${item.assignee && item.assignee.login ? item.assignee.login : 'someone'}`;
+    case 'UnassignedEvent':
+      return `${prefix} unassigned ${item.assignee && item.assignee.login ? item.assignee.login : 'someone'}`;
+    case 'ClosedEvent':
+      return `${prefix} closed this${item.stateReason ? ` as ${item.stateReason}` : ''}`;
+    case 'ReopenedEvent':
+      return `${prefix} reopened this`;
+    case 'RenamedTitleEvent':
+      return `${prefix} changed the title from "${item.previousTitle}" to "${item.currentTitle}"`;
+    case 'MilestonedEvent':
+      return `${prefix} added this to milestone ${item.milestoneTitle}`;
+    case 'DemilestonedEvent':
+      return `${prefix} removed this from milestone ${item.milestoneTitle}`;
+    case 'CrossReferencedEvent':
+      return `${prefix} mentioned this in ${subject(item.source)}`;
+    case 'ReferencedEvent':
+      return `${prefix} referenced this in commit ${item.commit ? `${item.commit.oid.slice(0, 7)} ${item.commit.messageHeadline}` : '(unavailable)'}`;
+    case 'ConnectedEvent':
+      return `${prefix} linked ${subject(item.subject)}`;
+    default:
+      return `${prefix} ${item.__typename}`;
+  }
+}
+
+function formatProjectItem(item) {
+  const content = item.content || {};
+  const heading = content.number
+    ? `${item.type === 'PULL_REQUEST' ? 'PR' : 'Issue'} ${content.repository.nameWithOwner}#${content.number}: ${content.title} (${content.state})`
+    : `Draft: ${content.title || '(untitled)'}`;
+  const values = item.fieldValues.nodes
+    .filter(value => value.field && value.field.name !== 'Title')
+    .map(value => {
+      const shown = [value.text, value.number, value.date, value.name, value.title].find(candidate => candidate !== undefined && candidate !== null);
+      return `${value.field.name}: ${shown}`;
+    });
+  return `- ${heading}${item.isArchived ? ' [archived]' : ''}\n  Item ID: ${item.id}${values.length > 0 ? `\n  ${values.join('; ')}` : ''}`;
+}
+
+const PASSING_CHECK_RESULTS = new Set(['SUCCESS', 'NEUTRAL', 'SKIPPED']);
+const FAILED_CHECK_WORDING = {
+  FAILURE: 'failed',
+  ERROR: 'errored',
+  CANCELLED: 'was cancelled',
+  TIMED_OUT: 'timed out',
+  ACTION_REQUIRED: 'needs action',
+  STARTUP_FAILURE: 'failed to start',
+  STALE: 'is stale'
+};
+
+// Work out whether a pull request can be merged now: state, conflicts,
+// required checks, required reviews and conversation resolution. Required
+// settings come from classic branch protection and from rulesets.
+async function assessPullRequestReadiness(github, owner, repo, pull_number) {
+  const data = await github.graphql(PULL_REQUEST_READINESS_QUERY, { owner, repo, number: pull_number });
+  const pullRequest = data.repository && data.repository.pullRequest;
+  if (!pullRequest) {
+    throw new GitHubNotFoundError(404, { message: `Pull request #${pull_number} not found in ${owner}/${repo}` });
+  }
+
+  const rules = await github.getBranchRules(owner, repo, pullRequest.baseRefName).catch(error => {
+    if (error instanceof GitHubNotFoundError || error instanceof GitHubPermissionError) {
+      return [];
+    }
+    throw error;
+  });
+  const ruleParameters = type => (rules.find(rule => rule.type === type) || {}).parameters || {};
+  const protection = (pullRequest.baseRef && pullRequest.baseRef.branchProtectionRule) || {};
+  const pullRequestRule = ruleParameters('pull_request');
+  const requiredApprovals = Math.max(
+    protection.requiresApprovingReviews ? protection.requiredApprovingReviewCount || 0 : 0,
+    pullRequestRule.required_approving_review_count || 0
+  );
+  const requiresResolution = Boolean(protection.requiresConversationResolution || pullRequestRule.required_review_thread_resolution);
+  const requiredContexts = new Set([
+    ...(protection.requiredStatusCheckContexts || []),
+    ...(ruleParameters('required_status_checks').required_status_checks || []).map(check => check.context)
+  ]);
+
+  const blockers = [];
+  const notes = [];
+  if (pullRequest.state !== 'OPEN') {
+    blockers.push(`The pull request is ${pullRequest.state.toLowerCase()}`);
+  }
+  if (pullRequest.isDraft) {
+    blockers.push('The pull request is a draft');
+  }
+  if (pullRequest.mergeable === 'CONFLICTING') {
+    blockers.push(`It has merge conflicts with ${pullRequest.baseRefName}`);
+  } else if (pullRequest.mergeable === 'UNKNOWN') {
+    blockers.push('GitHub is still computing mergeability; retry in a few seconds');
+  }
+  if (pullRequest.mergeStateStatus === 'BEHIND') {
+    blockers.push(`The branch is behind ${pullRequest.baseRefName} and must be updated first`);
+  }
+
+  // Checks: required ones if any are configured, otherwise all of them.
+  // Required checks that have not reported yet count as pending.
+  const lastCommit = pullRequest.commits.nodes[0];
+  const rollup = lastCommit && lastCommit.commit.statusCheckRollup;
+  const checks = (rollup ? rollup.contexts.nodes : []).map(context => context.__typename === 'CheckRun'
+    ? { name: context.name, result: context.conclusion || context.status, required: context.isRequired, url: context.detailsUrl }
+    : { name: context.context, result: context.state, required: context.isRequired, url: context.targetUrl });
+  for (const check of checks) {
+    check.required = check.required || requiredContexts.has(check.name);
+  }
+  for (const name of requiredContexts) {
+    if (!checks.some(check => check.name === name)) {
+      checks.push({ name, result: 'EXPECTED', required: true });
+    }
+  }
+  const hasRequiredChecks = checks.some(check => check.required);
+  if (!hasRequiredChecks) {
+    notes.push('No required checks are configured, so every check must pass.');
+  }
+  const label = hasRequiredChecks ? 'Required check' : 'Check';
+  for (const check of checks.filter(candidate => candidate.required || !hasRequiredChecks)) {
+    if (FAILED_CHECK_WORDING[check.result]) {
+      blockers.push(`${label} ${check.name} ${FAILED_CHECK_WORDING[check.result] || 'failed'}`);
+    } else if (check.result === 'EXPECTED') {
+      blockers.push(`${label} ${check.name} has not reported yet`);
+    } else if (!PASSING_CHECK_RESULTS.has(check.result)) {
+      blockers.push(`${label} ${check.name} is still running (${check.result.toLowerCase()})`);
+    }
+  }
+
+  const reviews = pullRequest.latestOpinionatedReviews.nodes;
+  const reviewers = state => reviews.filter(review => review.state === state).map(review => (review.author ? review.author.login : 'ghost'));
+  const approvals = reviewers('APPROVED');
+  const changesRequested = reviewers('CHANGES_REQUESTED');
+  if (pullRequest.reviewDecision === 'CHANGES_REQUESTED') {
+    blockers.push(`Changes requested by ${changesRequested.join(', ')}`);
+  } else if (changesRequested.length > 0) {
+    notes.push(`Changes requested by ${changesRequested.join(', ')} (not blocking under the branch rules)`);
+  }
+  if (pullRequest.reviewDecision === 'REVIEW_REQUIRED' || (!pullRequest.reviewDecision && approvals.length < requiredApprovals)) {
+    const needed = requiredApprovals > 0 ? ` of ${requiredApprovals} required` : '';
+    blockers.push(`Required reviews are missing: ${approvals.length} approval(s)${needed}${protection.requiresCodeOwnerReviews ? ', code owner review required' : ''}`);
+  }
+
+  const unresolved = pullRequest.reviewThreads.nodes.filter(thread => !thread.isResolved);
+  if (unresolved.length > 0) {
+    (requiresResolution ? blockers : notes).push(`${unresolved.length} unresolved review conversation(s)`);
+  }
+
+  if (blockers.length === 0 && pullRequest.mergeStateStatus === 'BLOCKED') {
+    blockers.push('GitHub reports the merge as blocked by a rule this server cannot see');
+  }
+
+  return {
+    pullRequest,
+    ready: blockers.length === 0,
+    blockers,
+    notes,
+    checks,
+    approvals,
+    requiredApprovals,
+    unresolved,
+    requiresResolution
+  };
+}
+
+function formatReadiness({ pullRequest, ready, blockers, notes, checks, approvals, requiredApprovals, unresolved, requiresResolution }) {
+  const lines = [
+    `Pull Request #${pullRequest.number}: ${pullRequest.title}`,
+    `Ready to merge: ${ready ? 'yes' : 'no'}`,
+    '',
+    `Mergeable: ${pullRequest.mergeable} (merge state ${pullRequest.mergeStateStatus})`,
+    `Reviews: ${approvals.length} approval(s)${requiredApprovals > 0 ? `, ${requiredApprovals} required` : ''}; decision ${pullRequest.reviewDecision || 'none'}`,
+    `Conversations: ${unresolved.length} unresolved${requiresResolution ? ', resolution required' : ''}`,
+    `Checks (${checks.length}):`
+  ];
+  for (const check of checks) {
+    lines.push(`- ${check.name}${check.required ? ' [required]' : ''}: ${check.result}${!PASSING_CHECK_RESULTS.has(check.result) && check.url ? ` (${check.url})` : ''}`);
+  }
+  if (blockers.length > 0) {
+    lines.push('', 'Blocking:', ...blockers.map(blocker => `- ${blocker}`));
+  }
+  if (notes.length > 0) {
+    lines.push('', 'Notes:', ...notes.map(note => `- ${note}`));
+  }
+  lines.push('', `URL: ${pullRequest.url}`);
+  return lines.join('\n');
+}
+
+// Cut long text to a character budget, saying how much was left out
+function truncateText(text, maxLength) {
+  if (text.length <= maxLength) {
+    return text;
+  }
+  return `${text.slice(0, maxLength)}\n\n[Truncated: showing ${maxLength} of ${text.length} characters]`;
+}
+
+// Like truncateText, but keep the end (e.g. of a log, where failures are),
+// starting at a line boundary
+function truncateTextStart(text, maxLength) {
+  if (text.length <= maxLength) {
+    return text;
+  }
+  const kept = text.slice(-maxLength);
+  const tail = text[text.length - maxLength - 1] === '\n' ? kept : kept.slice(kept.indexOf('\n') + 1);
+  return `[Truncated: showing the last ${tail.length} of ${text.length} characters]\n\n${tail}`;
+}
+
+function formatDuration(startedAt, completedAt) {
+  if (!startedAt || !completedAt) {
+    return '';
+  }
+  const seconds = Math.round((Date.parse(completedAt) - Date.parse(startedAt)) / 1000);
+  return seconds >= 60 ? `${Math.floor(seconds / 60)}m ${seconds % 60}s` : `${seconds}s`;
+}
+
+function formatWorkflowRun(run) {
+  return `Run ${run.id} (#${run.run_number}${run.run_attempt > 1 ? `, attempt ${run.run_attempt}` : ''}): ${run.name} - ${run.conclusion || run.status}` +
+    `\n  ${run.event} on ${run.head_branch} (${run.head_sha.slice(0, 7)}) by ${run.actor ? run.actor.login : 'unknown'}, ${run.created_at}` +
+    `\n  ${run.html_url}`;
+}
+
+// Actions logs carry ANSI colour codes, a byte order mark and a timestamp on every line
+const ANSI_ESCAPE_PATTERN = /\x1b\[[0-9;?]*[ -/]*[@-~]/g;
+const LOG_TIMESTAMP_PATTERN = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}(\.\d+)?Z /gm;
+
+function cleanJobLog(text, keepTimestamps = false) {
+  const cleaned = text.replace(/^\uFEFF/, '').replace(/\r\n?/g, '\n').replace(ANSI_ESCAPE_PATTERN, '');
+  return keepTimestamps ? cleaned : cleaned.replace(LOG_TIMESTAMP_PATTERN, '');
+}
+
+function formatRelease(release) {
+  const flags = [release.draft && 'draft', release.prerelease && 'prerelease'].filter(Boolean);
+  return `${release.tag_name}: ${release.name || release.tag_name}${flags.length > 0 ? ` [${flags.join(', ')}]` : ''}` +
+    ` (ID ${release.id}) - ${release.published_at ? `published ${release.published_at}` : 'not published'}` +
+    ` by ${release.author ? release.author.login : 'unknown'}\n  ${release.html_url}`;
+}
+
+// Tools address a release by ID or by tag name
+async function resolveRelease(github, args) {
+  if (args.release_id) {
+    return await github.getRelease(args.owner, args.repo, args.release_id);
+  }
+  if (args.tag) {
+    return await github.getReleaseByTag(args.owner, args.repo, args.tag);
+  }
+  throw new Error('Pass release_id or tag to choose the release');
+}
+
+const RELEASE_PROPERTIES = {
+  release_id: { type: 'integer', description: 'Release ID', minimum: 1 },
+  tag: { type: 'string', description: 'Tag name of the release (instead of release_id)' }
+};
+
+// Changed-file list shared by the compare and commit tools: filtered by glob,
+// renames shown as old -> new, patches capped per file and in total
+function formatChangedFiles(files, { pattern, includePatch, maxPatchLength, maxTotalPatchLength }) {
+  const matcher = pattern ? globToRegExp(pattern) : null;
+  const selected = matcher
+    ? files.filter(file => matcher.test(file.filename) || (file.previous_filename && matcher.test(file.previous_filename)))
+    : files;
+
+  const counts = {};
+  let additions = 0;
+  let deletions = 0;
+  for (const file of selected) {
+    counts[file.status] = (counts[file.status] || 0) + 1;
+    additions += file.additions;
+    deletions += file.deletions;
+  }
+  const pureRenames = selected.filter(file => file.status === 'renamed' && file.changes === 0).length;
+  const summary = `${selected.length} file(s)${matcher ? ` matching ${pattern} (of ${files.length})` : ''}, +${additions} -${deletions}` +
+    `${selected.length > 0 ? `: ${Object.entries(counts).map(([status, count]) => `${count} ${status}`).join(', ')}` : ''}` +
+    `${pureRenames > 0 ? ` (${pureRenames} renamed without content changes)` : ''}`;
+
+  let patchBudget = maxTotalPatchLength;
+  const entries = selected.map(file => {
+    const name = file.previous_filename ? `${file.previous_filename} -> ${file.filename}` : file.filename;
+    const header = `${name} - ${file.status}, +${file.additions} -${file.deletions}`;
+    if (!includePatch) {
+      return header;
+    }
+    if (!file.patch) {
+      // GitHub leaves out patches for binary files and very large diffs
+      return `${header}\n${file.status === 'renamed' && file.changes === 0 ? '(renamed without content changes)' : '(no patch: binary file or diff too large)'}`;
+    }
+    if (patchBudget <= 0) {
+      return `${header}\n(patch left out: total patch limit reached)`;
+    }
+    const limit = Math.min(maxPatchLength, patchBudget);
+    patchBudget -= Math.min(file.patch.length, limit);
+    const cut = file.patch.length > limit ? `\n[Patch truncated: showing ${limit} of ${file.patch.length} characters]` : '';
+    return `${header}\n\`\`\`diff\n${file.patch.slice(0, limit)}\n\`\`\`${cut}`;
+  });
+
+  return { summary, text: entries.join(includePatch ? '\n\n' : '\n') };
+}
+
+const CHANGED_FILE_PROPERTIES = {
+  pattern: { type: 'string', description: 'Only files whose path (or previous path) matches this glob, e.g. src/**/*.ts' },
+  max_patch_length: { type: 'integer', description: 'Maximum characters of patch per file', minimum: 100, default: 5000 },
+  max_total_patch_length: { type: 'integer', description: 'Maximum characters of patch across all files', minimum: 1000, maximum: 1000000, default: 50000 }
+};
+
+// Tool annotation presets (MCP behaviour hints)
+const READ_ONLY = { readOnlyHint: true, openWorldHint: true };
+const ADDITIVE_WRITE = { readOnlyHint: false, destructiveHint: false, idempotentHint: false, openWorldHint: true };
+const DESTRUCTIVE_WRITE = { readOnlyHint: false, destructiveHint: true, idempotentHint: false, openWorldHint: true };
+const IDEMPOTENT_WRITE = { readOnlyHint: false, destructiveHint: true, idempotentHint: true, openWorldHint: true };
+
+// Tool registry: every MCP surface (REST and JSON-RPC) is generated from this list.
+// Handlers receive the validated arguments and a context, and return the result text.
+const TOOLS = [
+  {
+    name: 'github_get_repository',
+    description: 'Get information about a GitHub repository',
+    inputSchema: {
+      type: 'object',
+      properties: { ...REPO_PROPERTIES },
+      required: ['owner', 'repo']
+    },
+    annotations: READ_ONLY,
+    handler: async (args, { github }) => {
+      const repo = await github.getRepository(args.owner, args.repo);
+      return `Repository: ${repo.full_name}\nDescription: ${repo.description || 'No description'}\nLanguage: ${repo.language || 'Unknown'}\nStars: ${repo.stargazers_count}\nForks: ${repo.forks_count}\nCreated: ${repo.created_at}\nUpdated: ${repo.updated_at}\nURL: ${repo.html_url}`;
+    }
+  },
+  {
+    name: 'github_list_repositories',
+    description: 'List repositories for the authenticated user (as a GitHub App, the repositories the installation can access)',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        sort: { type: 'string', enum: ['created', 'updated', 'pushed', 'full_name'], default: 'updated' },
+        ...PAGINATION_PROPERTIES
+      }
+    },
+    annotations: READ_ONLY,
+    handler: async (args, { github }) => {
+      const repos = filterPageRepositories(await github.listRepositories(args.sort, paginationArgs(args)), repo => repo.full_name);
+      const repoList = repos.items.map(repo =>
+        `${repo.full_name} - ${repo.description || 'No description'} (${repo.language || 'Unknown'})`
+      ).join('\n');
+      return `Found ${repos.items.length} repositories:\n\n${repoList}${formatPaginationFooter(repos)}`;
+    }
+  },
+  {
+    name: 'github_list_issues',
+    description: 'List issues for a repository',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        ...REPO_PROPERTIES,
+        state: { type: 'string', enum: ['open', 'closed', 'all'], default: 'open' },
+        ...PAGINATION_PROPERTIES
+      },
+      required: ['owner', 'repo']
+    },
+    annotations: READ_ONLY,
+    handler: async (args, { github }) => {
+      const issues = await github.listIssues(args.owner, args.repo, args.state, paginationArgs(args));
+      const issueList = issues.items.map(issue =>
+        `#${issue.number}: ${issue.title} (${issue.state}) - ${issue.user.login}`
+      ).join('\n');
+      return `Issues in ${args.owner}/${args.repo} (${args.state}):\n\n${issueList || 'No issues found'}${formatPaginationFooter(issues)}`;
+    }
+  },
+  {
+    name: 'github_create_issue',
+    description: 'Create a new issue in a repository',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        ...REPO_PROPERTIES,
+        title: { type: 'string', description: 'Issue title' },
+        body: { type: 'string', description: 'Issue body' },
+        labels: { type: 'array', items: { type: 'string' }, description: 'Issue labels' }
+      },
+      required: ['owner', 'repo', 'title']
+    },
+    annotations: ADDITIVE_WRITE,
+    handler: async (args, { github }) => {
+      const newIssue = await github.createIssue(args.owner, args.repo, {
+        title: args.title,
+        body: args.body,
+        labels: args.labels
+      });
+      return `Created issue #${newIssue.number}: ${newIssue.title}\nURL: ${newIssue.html_url}`;
+    }
+  },
+  {
+    name: 'github_get_file_content',
+    description: 'Get the content of a file from a repository',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        ...REPO_PROPERTIES,
+        path: { type: 'string', description: 'File path' },
+        ref: { type: 'string', description: 'Branch/commit/tag reference (defaults to the default branch)' },
+        start_line: { type: 'integer', description: 'First line to return (1-based)', minimum: 1 },
+        end_line: { type: 'integer', description: 'Last line to return (inclusive)', minimum: 1 },
+        encoding: { type: 'string', description: 'Text encoding of the file, e.g. latin1, shift_jis, utf-16le (defaults to utf-8, with binary files detected)' }
+      },
+      required: ['owner', 'repo', 'path']
+    },
+    annotations: READ_ONLY,
+    handler: async (args, { github }) => {
+      const fileData = await github.getFileContent(args.owner, args.repo, args.path, args.ref);
+      if (Array.isArray(fileData)) {
+        return `${args.path} is a directory in ${args.owner}/${args.repo}:\n\n${formatDirectoryEntries(fileData) || '(empty)'}`;
+      }
+      if (fileData.type === 'symlink') {
+        return `${args.path} is a symbolic link to ${fileData.target}`;
+      }
+      if (fileData.type === 'submodule') {
+        return `${args.path} is a submodule: ${fileData.submodule_git_url} at ${fileData.sha}`;
+      }
+
+      // The contents API leaves out content for files over 1MB; the blob API
+      // serves them up to 100MB
+      const base64 = fileData.encoding === 'base64' && fileData.content
+        ? fileData.content
+        : (await github.getBlob(args.owner, args.repo, fileData.sha)).content;
+      const decoded = decodeFileContent(Buffer.from(base64 || '', 'base64'), args.encoding);
+      if (decoded.binary) {
+        return `File: ${args.path} (${formatSize(fileData.size)}, binary)\nSHA: ${fileData.sha}\n\nBinary content is not shown. If this is text in an encoding such as UTF-16 without a BOM, pass that encoding.`;
+      }
+
+      const encodingNote = decoded.encoding !== 'utf-8' ? `, ${decoded.encoding}` : '';
+      if (args.start_line === undefined && args.end_line === undefined) {
+        return `File: ${args.path} (${fileData.size} bytes${encodingNote})\n\n${decoded.text}`;
+      }
+
+      const lines = decoded.text.split('\n');
+      if (lines.length > 1 && lines[lines.length - 1] === '') {
+        lines.pop();
+      }
+      const start = args.start_line || 1;
+      const end = Math.min(args.end_line || lines.length, lines.length);
+      if (start > lines.length || start > end) {
+        throw new Error(`Line range ${start}-${args.end_line || ''} is outside the file (${lines.length} lines)`);
+      }
+      return `File: ${args.path} (lines ${start}-${end} of ${lines.length}${encodingNote})\n\n${lines.slice(start - 1, end).join('\n')}`;
+    }
+  },
+  {
+    name: 'github_list_directory',
+    description: 'List the files and subdirectories of a directory in a repository',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        ...REPO_PROPERTIES,
+        path: { type: 'string', description: 'Directory path (empty for the repository root)', default: '' },
+        ref: { type: 'string', description: 'Branch/commit/tag reference (defaults to the default branch)' }
+      },
+      required: ['owner', 'repo']
+    },
+    annotations: READ_ONLY,
+    handler: async (args, { github }) => {
+      const path = args.path.replace(/^\/+|\/+$/g, '');
+      const entries = await github.getFileContent(args.owner, args.repo, path, args.ref);
+      if (!Array.isArray(entries)) {
+        return `${path} is a ${entries.type}, not a directory (${formatSize(entries.size)}). Use github_get_file_content to read it.`;
+      }
+      // The contents API stops at 1000 entries per directory
+      const limit = entries.length >= 1000 ? '\n\nThis listing may be incomplete; use github_get_tree for large directories.' : '';
+      return `Contents of ${path || '/'} in ${args.owner}/${args.repo}${args.ref ? ` at ${args.ref}` : ''} (${entries.length} entries):\n\n` +
+        `${formatDirectoryEntries(entries) || '(empty)'}${limit}`;
+    }
+  },
+  {
+    name: 'github_get_tree',
+    description: 'List the files in a repository or subdirectory, recursively by default, with glob filtering and a size summary',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        ...REPO_PROPERTIES,
+        ref: { type: 'string', description: 'Branch, tag or commit SHA (defaults to the default branch)' },
+        path: { type: 'string', description: 'Subdirectory to list (default: repository root)', default: '' },
+        recursive: { type: 'boolean', description: 'Include nested directories', default: true },
+        pattern: { type: 'string', description: 'Glob to filter paths, e.g. "src/**/*.ts" (* stays within a directory, ** crosses directories)' },
+        type: { type: 'string', enum: ['all', 'file', 'dir'], description: 'Only list files or directories', default: 'all' },
+        max_entries: { type: 'integer', description: 'Maximum number of paths to list', minimum: 1, maximum: 5000, default: 500 }
+      },
+      required: ['owner', 'repo']
+    },
+    annotations: READ_ONLY,
+    handler: async (args, { github }) => {
+      const ref = args.ref || (await github.getRepository(args.owner, args.repo)).default_branch;
+      const path = args.path.replace(/^\/+|\/+$/g, '');
+      const treeSha = path ? await resolveTreeSha(github, args.owner, args.repo, ref, path) : ref;
+      const tree = await github.getTree(args.owner, args.repo, treeSha, args.recursive);
+
+      const prefix = path ? `${path}/` : '';
+      const wantedType = { all: null, file: 'blob', dir: 'tree' }[args.type];
+      const pattern = args.pattern ? globToRegExp(args.pattern) : null;
+      const entries = tree.tree
+        .map(entry => ({ ...entry, path: `${prefix}${entry.path}` }))
+        .filter(entry => (!wantedType || entry.type === wantedType) && (!pattern || pattern.test(entry.path)));
+
+      const shown = entries.slice(0, args.max_entries).map(entry => {
+        if (entry.type === 'tree') {
+          return `${entry.path}/`;
+        }
+        return entry.type === 'commit' ? `${entry.path} [submodule]` : `${entry.path} (${formatSize(entry.size || 0)})`;
+      });
+
+      const notes = [];
+      if (entries.length > shown.length) {
+        notes.push(`Showing ${shown.length} of ${entries.length} matching paths; raise max_entries or narrow path/pattern to see the rest.`);
+      }
+      if (tree.truncated) {
+        notes.push('GitHub truncated this tree because it is too large, so some paths are missing. List a subdirectory with path, or set recursive to false and descend level by level.');
+      }
+
+      return [
+        `Tree of ${args.owner}/${args.repo}${path ? `/${path}` : ''} at ${ref}${args.pattern ? ` matching ${args.pattern}` : ''}`,
+        summarizeTree(entries),
+        '',
+        shown.join('\n') || 'No matching paths',
+        ...(notes.length > 0 ? ['', ...notes] : [])
+      ].join('\n');
+    }
+  },
+  {
+    name: 'github_list_pull_requests',
+    description: 'List pull requests in a repository',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        ...REPO_PROPERTIES,
+        state: { type: 'string', enum: ['open', 'closed', 'all'], default: 'open' },
+        ...PAGINATION_PROPERTIES
+      },
+      required: ['owner', 'repo']
+    },
+    annotations: READ_ONLY,
+    handler: async (args, { github }) => {
+      const pullRequests = await github.listPullRequests(args.owner, args.repo, args.state, paginationArgs(args));
+      const prList = pullRequests.items.map(pr =>
+        `#${pr.number}: ${pr.title} (${pr.state}) - ${pr.user.login}`
+      ).join('\n');
+      return `Pull Requests in ${args.owner}/${args.repo} (${args.state}):\n\n${prList || 'No pull requests found'}${formatPaginationFooter(pullRequests)}`;
+    }
+  },
+  {
+    name: 'github_get_pull_request',
+    description: 'Get details of a specific pull request',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        ...REPO_PROPERTIES,
+        pull_number: { type: 'number', description: 'Pull request number' }
+      },
+      required: ['owner', 'repo', 'pull_number']
+    },
+    annotations: READ_ONLY,
+    handler: async (args, { github }) => {
+      const pullRequest = await github.getPullRequest(args.owner, args.repo, args.pull_number);
+      return formatPullRequest(pullRequest);
+    }
+  },
+  {
+    name: 'github_create_pull_request',
+    description: 'Create a new pull request',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        ...REPO_PROPERTIES,
+        title: { type: 'string', description: 'Pull request title' },
+        head: { type: 'string', description: 'Name of the branch with the changes' },
+        base: { type: 'string', description: 'Name of the branch to merge changes into' },
+        body: { type: 'string', description: 'Pull request description' }
+      },
+      required: ['owner', 'repo', 'title', 'head', 'base']
+    },
+    annotations: ADDITIVE_WRITE,
+    handler: async (args, { github }) => {
+      const newPullRequest = await github.createPullRequest(args.owner, args.repo, {
+        title: args.title,
+        head: args.head,
+        base: args.base,
+        body: args.body
+      });
+      return `Created pull request #${newPullRequest.number}: ${newPullRequest.title}\nURL: ${newPullRequest.html_url}`;
+    }
+  },
+  {
+    name: 'github_merge_pull_request',
+    description: 'Merge an existing pull request',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        ...REPO_PROPERTIES,
+        pull_number: { type: 'number', description: 'Pull request number' },
+        merge_method: { type: 'string', enum: ['merge', 'squash', 'rebase'], default: 'merge' },
+        require_green: {
+          type: 'boolean',
+          description: 'Refuse to merge unless github_get_pull_request_readiness reports the pull request as ready',
+          default: false
+        }
+      },
+      required: ['owner', 'repo', 'pull_number']
+    },
+    annotations: DESTRUCTIVE_WRITE,
+    preview: async (args, { github }) => {
+      const pullRequest = await github.getPullRequest(args.owner, args.repo, args.pull_number);
+      return `Merge pull request #${pullRequest.number} "${pullRequest.title}" in ${args.owner}/${args.repo} ` +
+        `(${pullRequest.head.ref} -> ${pullRequest.base.ref}) using the ${args.merge_method} method` +
+        `${args.require_green ? ', only if checks, reviews and conversations allow it' : ''}.`;
+    },
+    handler: async (args, { github }) => {
+      let sha;
+      if (args.require_green) {
+        const readiness = await assessPullRequestReadiness(github, args.owner, args.repo, args.pull_number);
+        if (!readiness.ready) {
+          const error = new GitHubConflictError(409, {
+            message: `Pull request #${args.pull_number} is not ready to merge; nothing was merged`,
+            errors: readiness.blockers
+          });
+          error.hint = 'Fix the blocking items or wait for running checks, then retry. github_get_pull_request_readiness shows the full report.';
+          throw error;
+        }
+        // Only merge the head that was assessed
+        sha = readiness.pullRequest.headRefOid;
+      }
+      const mergedPullRequest = await github.mergePullRequest(args.owner, args.repo, args.pull_number, {
+        merge_method: args.merge_method || 'merge',
+        sha
+      });
+      return `Pull Request #${args.pull_number} merged successfully: ${mergedPullRequest.message}`;
+    }
+  },
+  {
+    name: 'github_update_pull_request',
+    description: 'Update a pull request\'s title, body, base branch or draft state',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        ...REPO_PROPERTIES,
+        pull_number: { type: 'number', description: 'Pull request number' },
+        title: { type: 'string', description: 'New title' },
+        body: { type: 'string', description: 'New description' },
+        base: { type: 'string', description: 'Branch to merge into' },
+        draft: { type: 'boolean', description: 'true to convert to a draft, false to mark ready for review' }
+      },
+      required: ['owner', 'repo', 'pull_number']
+    },
+    annotations: IDEMPOTENT_WRITE,
+    preview: async (args, { github }) => {
+      const pullRequest = await github.getPullRequest(args.owner, args.repo, args.pull_number);
+      const changes = [];
+      if (args.title !== undefined && args.title !== pullRequest.title) {
+        changes.push(`- title: "${pullRequest.title}" -> "${args.title}"`);
+      }
+      if (args.body !== undefined && args.body !== pullRequest.body) {
+        changes.push('- body: replaced');
+      }
+      if (args.base !== undefined && args.base !== pullRequest.base.ref) {
+        changes.push(`- base: ${pullRequest.base.ref} -> ${args.base}`);
+      }
+      if (args.draft !== undefined && args.draft !== pullRequest.draft) {
+        changes.push(args.draft ? '- convert to draft' : '- mark ready for review');
+      }
+      return `Update pull request #${pullRequest.number} "${pullRequest.title}" in ${args.owner}/${args.repo}:\n${changes.join('\n') || '- no changes'}`;
+    },
+    handler: async (args, { github }) => {
+      const fields = {};
+      for (const field of ['title', 'body', 'base']) {
+        if (args[field] !== undefined) {
+          fields[field] = args[field];
+        }
+      }
+
+      let pullRequest = Object.keys(fields).length > 0
+        ? await github.updatePullRequest(args.owner, args.repo, args.pull_number, fields)
+        : await github.getPullRequest(args.owner, args.repo, args.pull_number);
+
+      if (args.draft !== undefined && args.draft !== pullRequest.draft) {
+        await github.setPullRequestDraft(args.owner, args.repo, pullRequest, args.draft);
+        pullRequest = await github.getPullRequest(args.owner, args.repo, args.pull_number);
+      }
+
+      return `Updated pull request #${pullRequest.number} in ${args.owner}/${args.repo}\n\n${formatPullRequest(pullRequest)}${github.graphqlCostSummary()}`;
+    }
+  },
+  {
+    name: 'github_list_pull_request_files',
+    description: 'List the files changed in a pull request, with their patches',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        ...REPO_PROPERTIES,
+        pull_number: { type: 'number', description: 'Pull request number' },
+        include_patch: { type: 'boolean', description: 'Include each file\'s patch', default: true },
+        ...PAGINATION_PROPERTIES
+      },
+      required: ['owner', 'repo', 'pull_number']
+    },
+    annotations: READ_ONLY,
+    handler: async (args, { github }) => {
+      const files = await github.listPullRequestFiles(args.owner, args.repo, args.pull_number, paginationArgs(args));
+      const fileList = files.items.map(file => {
+        const renamed = file.previous_filename ? ` (renamed from ${file.previous_filename})` : '';
+        const header = `${file.filename}${renamed} - ${file.status}, +${file.additions} -${file.deletions}`;
+        if (!args.include_patch) {
+          return header;
+        }
+        // GitHub leaves out patches for binary files and very large diffs
+        const patch = file.patch ? `\n\`\`\`diff\n${file.patch}\n\`\`\`` : '\n(no patch: binary file or diff too large)';
+        return `${header}${patch}`;
+      }).join('\n\n');
+      return `Files changed in ${args.owner}/${args.repo}#${args.pull_number}:\n\n${fileList || 'No files changed'}${formatPaginationFooter(files)}`;
+    }
+  },
+  {
+    name: 'github_get_pull_request_diff',
+    description: 'Get the unified diff of a pull request',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        ...REPO_PROPERTIES,
+        pull_number: { type: 'number', description: 'Pull request number' },
+        max_length: { type: 'integer', description: 'Maximum number of characters to return', minimum: 1000, default: 100000 }
+      },
+      required: ['owner', 'repo', 'pull_number']
+    },
+    annotations: READ_ONLY,
+    handler: async (args, { github }) => {
+      const diff = await github.getPullRequestDiff(args.owner, args.repo, args.pull_number);
+      return truncateText(diff || '(empty diff)', args.max_length);
+    }
+  },
+  {
+    name: 'github_list_pull_request_reviews',
+    description: 'List the reviews submitted on a pull request',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        ...REPO_PROPERTIES,
+        pull_number: { type: 'number', description: 'Pull request number' },
+        ...PAGINATION_PROPERTIES
+      },
+      required: ['owner', 'repo', 'pull_number']
+    },
+    annotations: READ_ONLY,
+    handler: async (args, { github }) => {
+      const reviews = await github.listPullRequestReviews(args.owner, args.repo, args.pull_number, paginationArgs(args));
+      const reviewList = reviews.items.map(review =>
+        `Review ${review.id}: ${review.state} by ${review.user ? review.user.login : 'ghost'}` +
+        `${review.submitted_at ? ` at ${review.submitted_at}` : ''}${review.body ? `\n${review.body}` : ''}`
+      ).join('\n\n');
+      return `Reviews on ${args.owner}/${args.repo}#${args.pull_number}:\n\n${reviewList || 'No reviews found'}${formatPaginationFooter(reviews)}`;
+    }
+  },
+  {
+    name: 'github_list_pull_request_review_comments',
+    description: 'List the line comments left in pull request reviews',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        ...REPO_PROPERTIES,
+        pull_number: { type: 'number', description: 'Pull request number' },
+        ...PAGINATION_PROPERTIES
+      },
+      required: ['owner', 'repo', 'pull_number']
+    },
+    annotations: READ_ONLY,
+    handler: async (args, { github }) => {
+      const comments = await github.listPullRequestReviewComments(args.owner, args.repo, args.pull_number, paginationArgs(args));
+      const commentList = comments.items.map(comment => {
+        const line = comment.line || comment.original_line;
+        const range = comment.start_line && comment.start_line !== line ? `${comment.start_line}-${line}` : line;
+        const location = line ? `${comment.path}:${range}` : comment.path;
+        const reply = comment.in_reply_to_id ? `, reply to ${comment.in_reply_to_id}` : '';
+        return `Comment ${comment.id} on ${location} by ${comment.user ? comment.user.login : 'ghost'} (${comment.created_at}${reply})\n${comment.body}`;
+      }).join('\n\n');
+      return `Review comments on ${args.owner}/${args.repo}#${args.pull_number}:\n\n${commentList || 'No review comments found'}${formatPaginationFooter(comments)}`;
+    }
+  },
+  {
+    name: 'github_create_pull_request_review',
+    description: 'Submit a pull request review that approves, requests changes or comments, optionally with comments anchored to lines of the diff',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        ...REPO_PROPERTIES,
+        pull_number: { type: 'number', description: 'Pull request number' },
+        event: { type: 'string', enum: ['APPROVE', 'REQUEST_CHANGES', 'COMMENT'], description: 'Review action' },
+        body: { type: 'string', description: 'Review summary (required for REQUEST_CHANGES and COMMENT)' },
+        commit_id: { type: 'string', description: 'SHA of the commit to review (defaults to the latest)' },
+        comments: {
+          type: 'array',
+          description: 'Line comments',
+          items: {
+            type: 'object',
+            properties: {
+              path: { type: 'string', description: 'File path relative to the repository root', minLength: 1 },
+              line: { type: 'integer', description: 'Line in the diff to comment on (last line of a range)', minimum: 1 },
+              side: { type: 'string', enum: ['LEFT', 'RIGHT'], description: 'LEFT for deletions, RIGHT for additions or context', default: 'RIGHT' },
+              start_line: { type: 'integer', description: 'First line of a multi-line comment', minimum: 1 },
+              start_side: { type: 'string', enum: ['LEFT', 'RIGHT'], description: 'Side of start_line' },
+              body: { type: 'string', description: 'Comment text', minLength: 1 }
+            },
+            required: ['path', 'line', 'body']
+          }
+        }
+      },
+      required: ['owner', 'repo', 'pull_number', 'event']
+    },
+    annotations: ADDITIVE_WRITE,
+    handler: async (args, { github }) => {
+      const review = await github.createPullRequestReview(args.owner, args.repo, args.pull_number, {
+        event: args.event,
+        body: args.body,
+        commit_id: args.commit_id,
+        comments: args.comments
+      });
+      const comments = args.comments ? `, ${args.comments.length} line comments` : '';
+      return `Submitted review ${review.id} on ${args.owner}/${args.repo}#${args.pull_number}: ${review.state}${comments}\nURL: ${review.html_url}`;
+    }
+  },
+  {
+    name: 'github_request_reviewers',
+    description: 'Request reviews on a pull request from users or teams',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        ...REPO_PROPERTIES,
+        pull_number: { type: 'number', description: 'Pull request number' },
+        reviewers: { type: 'array', items: { type: 'string' }, description: 'User logins' },
+        team_reviewers: { type: 'array', items: { type: 'string' }, description: 'Team slugs' }
+      },
+      required: ['owner', 'repo', 'pull_number']
+    },
+    annotations: ADDITIVE_WRITE,
+    handler: async (args, { github }) => {
+      if (!(args.reviewers || []).length && !(args.team_reviewers || []).length) {
+        throw new Error('Pass at least one of reviewers or team_reviewers');
+      }
+      const pullRequest = await github.requestReviewers(args.owner, args.repo, args.pull_number, {
+        reviewers: args.reviewers,
+        team_reviewers: args.team_reviewers
+      });
+      const requested = [
+        ...(pullRequest.requested_reviewers || []).map(user => user.login),
+        ...(pullRequest.requested_teams || []).map(team => `team:${team.slug}`)
+      ];
+      return `Requested reviews on ${args.owner}/${args.repo}#${args.pull_number}\nPending reviewers: ${requested.join(', ') || 'none'}`;
+    }
+  },
+  {
+    name: 'github_get_pull_request_overview',
+    description: 'Get a pull request together with its reviews, status checks, unresolved review threads and linked issues in one call',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        ...REPO_PROPERTIES,
+        pull_number: { type: 'integer', description: 'Pull request number', minimum: 1 }
+      },
+      required: ['owner', 'repo', 'pull_number']
+    },
+    annotations: READ_ONLY,
+    handler: async (args, { github }) => {
+      const data = await github.graphql(PULL_REQUEST_OVERVIEW_QUERY, { owner: args.owner, repo: args.repo, number: args.pull_number });
+      if (!data.repository || !data.repository.pullRequest) {
+        throw new GitHubNotFoundError(404, { message: `Pull request #${args.pull_number} not found in ${args.owner}/${args.repo}` });
+      }
+      return `${formatPullRequestOverview(data.repository.pullRequest)}${github.graphqlCostSummary()}`;
+    }
+  },
+  {
+    name: 'github_list_branches',
+    description: 'List branches in a repository',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        ...REPO_PROPERTIES,
+        ...PAGINATION_PROPERTIES
+      },
+      required: ['owner', 'repo']
+    },
+    annotations: READ_ONLY,
+    handler: async (args, { github }) => {
+      const branches = await github.listBranches(args.owner, args.repo, paginationArgs(args));
+      const branchList = branches.items.map(branch => branch.name).join('\n');
+      return `Branches in ${args.owner}/${args.repo}:\n\n${branchList}${formatPaginationFooter(branches)}`;
+    }
+  },
+  {
+    name: 'github_get_branch',
+    description: 'Get details of a specific branch',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        ...REPO_PROPERTIES,
+        branch: { type: 'string', description: 'Branch name' }
+      },
+      required: ['owner', 'repo', 'branch']
+    },
+    annotations: READ_ONLY,
+    handler: async (args, { github }) => {
+      const branch = await github.getBranch(args.owner, args.repo, args.branch);
+      return `Branch ${args.branch} in ${args.owner}/${args.repo}\nSHA: ${branch.commit.sha}\nProtected: ${branch.protected}`;
+    }
+  },
+  {
+    name: 'github_create_branch',
+    description: 'Create a new branch in a repository',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        ...REPO_PROPERTIES,
+        branch: { type: 'string', description: 'Name of the new branch' },
+        from_branch: { type: 'string', description: 'Source branch to create from', default: 'main' }
+      },
+      required: ['owner', 'repo', 'branch']
+    },
+    annotations: ADDITIVE_WRITE,
+    handler: async (args, { github }) => {
+      // GitHub creates refs from a SHA, not a branch name
+      const fromBranch = args.from_branch || 'main';
+      const source = await github.getRef(args.owner, args.repo, `heads/${fromBranch}`);
+      await github.createBranch(args.owner, args.repo, args.branch, source.object.sha);
+      return `Created branch ${args.branch} from ${fromBranch} (${source.object.sha.slice(0, 7)}) in ${args.owner}/${args.repo}`;
+    }
+  },
+  {
+    name: 'github_list_commits',
+    description: 'List commits in a repository',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        ...REPO_PROPERTIES,
+        sha: { type: 'string', description: 'SHA or branch to start from' },
+        ...PAGINATION_PROPERTIES
+      },
+      required: ['owner', 'repo']
+    },
+    annotations: READ_ONLY,
+    handler: async (args, { github }) => {
+      const commits = await github.listCommits(args.owner, args.repo, args.sha, paginationArgs(args));
+      const commitList = commits.items.map(commit =>
+        `${commit.sha.slice(0, 7)}: ${commit.commit.message.split('\n')[0]} - ${commit.author ? commit.author.login : commit.commit.author.name}`
+      ).join('\n');
+      return `Commits in ${args.owner}/${args.repo}:\n\n${commitList}${formatPaginationFooter(commits)}`;
+    }
+  },
+  {
+    name: 'github_get_commit',
+    description: 'Get a commit with its changed files and their patches',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        ...REPO_PROPERTIES,
+        ref: { type: 'string', description: 'Commit SHA' },
+        include_patch: { type: 'boolean', description: 'Include each file\'s patch', default: true },
+        ...CHANGED_FILE_PROPERTIES
+      },
+      required: ['owner', 'repo', 'ref']
+    },
+    annotations: READ_ONLY,
+    handler: async (args, { github }) => {
+      const commitDetails = await github.getCommit(args.owner, args.repo, args.ref);
+      const files = formatChangedFiles(commitDetails.files || [], {
+        pattern: args.pattern,
+        includePatch: args.include_patch,
+        maxPatchLength: args.max_patch_length,
+        maxTotalPatchLength: args.max_total_patch_length
+      });
+      const author = commitDetails.author ? commitDetails.author.login : commitDetails.commit.author.name;
+      const parents = commitDetails.parents.map(parent => parent.sha.slice(0, 7)).join(', ');
+      return `Commit ${commitDetails.sha}\nAuthor: ${author}\nDate: ${commitDetails.commit.author.date}\nParents: ${parents || 'none'}` +
+        `\nMessage: ${commitDetails.commit.message}\n\nFiles: ${files.summary}${files.text ? `\n\n${files.text}` : ''}`;
+    }
+  },
+  {
+    name: 'github_compare',
+    description: 'Compare two refs: ahead/behind counts, the commits in between and the changed files, optionally with patches',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        ...REPO_PROPERTIES,
+        base: { type: 'string', description: 'Base branch, tag or SHA', minLength: 1 },
+        head: { type: 'string', description: 'Head branch, tag or SHA (owner:branch for a fork)', minLength: 1 },
+        include_commits: { type: 'boolean', description: 'List the commits in head that are not in base', default: true },
+        max_commits: { type: 'integer', description: 'Maximum commits to list', minimum: 1, maximum: 250, default: 100 },
+        include_patch: { type: 'boolean', description: 'Include each file\'s patch', default: false },
+        ...CHANGED_FILE_PROPERTIES
+      },
+      required: ['owner', 'repo', 'base', 'head']
+    },
+    annotations: READ_ONLY,
+    handler: async (args, { github }) => {
+      const comparison = await github.compareCommits(args.owner, args.repo, args.base, args.head);
+      const position = {
+        identical: 'the refs point at the same commit',
+        ahead: `head is ${comparison.ahead_by} commit(s) ahead`,
+        behind: `head is ${comparison.behind_by} commit(s) behind`,
+        diverged: `head is ${comparison.ahead_by} commit(s) ahead and ${comparison.behind_by} behind`
+      }[comparison.status] || comparison.status;
+
+      const lines = [
+        `Comparing ${args.base}...${args.head} in ${args.owner}/${args.repo}: ${comparison.status} (${position})`,
+        `Merge base: ${comparison.merge_base_commit ? comparison.merge_base_commit.sha.slice(0, 7) : 'none'}`,
+        `URL: ${comparison.html_url}`
+      ];
+
+      if (args.include_commits) {
+        const commits = comparison.commits.slice(-args.max_commits);
+        lines.push('', `Commits (${commits.length} of ${comparison.total_commits}, oldest first):`);
+        if (commits.length < comparison.total_commits) {
+          lines.push(`(${comparison.total_commits - commits.length} older commit(s) not shown)`);
+        }
+        for (const commit of commits) {
+          lines.push(`${commit.sha.slice(0, 7)}: ${commit.commit.message.split('\n')[0]} - ${commit.author ? commit.author.login : commit.commit.author.name}`);
+        }
+      }
+
+      const allFiles = comparison.files || [];
+      const files = formatChangedFiles(allFiles, {
+        pattern: args.pattern,
+        includePatch: args.include_patch,
+        maxPatchLength: args.max_patch_length,
+        maxTotalPatchLength: args.max_total_patch_length
+      });
+      lines.push('', `Files: ${files.summary}`);
+      // The compare API lists at most 300 files
+      if (allFiles.length >= 300) {
+        lines.push('(GitHub returns at most 300 files per comparison; narrow the range to see the rest)');
+      }
+      if (files.text) {
+        lines.push('', files.text);
+      }
+      return lines.join('\n');
+    }
+  },
+  {
+    name: 'github_get_combined_status',
+    description: 'Get the combined commit status of a ref and each status reported for it',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        ...REPO_PROPERTIES,
+        ref: { type: 'string', description: 'Commit SHA, branch or tag', minLength: 1 }
+      },
+      required: ['owner', 'repo', 'ref']
+    },
+    annotations: READ_ONLY,
+    handler: async (args, { github }) => {
+      const status = await github.getCombinedStatus(args.owner, args.repo, args.ref);
+      const statusList = status.statuses.map(entry =>
+        `- ${entry.context}: ${entry.state}${entry.description ? ` - ${entry.description}` : ''}${entry.target_url ? ` (${entry.target_url})` : ''}`
+      ).join('\n');
+      return `Combined status of ${args.ref} (${status.sha.slice(0, 7)}): ${status.state}\n\n${statusList || 'No statuses reported. Check runs are listed by github_list_check_runs.'}`;
+    }
+  },
+  {
+    name: 'github_list_check_suites',
+    description: 'List the check suites (one per app, e.g. GitHub Actions) reported for a ref',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        ...REPO_PROPERTIES,
+        ref: { type: 'string', description: 'Commit SHA, branch or tag', minLength: 1 },
+        ...PAGINATION_PROPERTIES
+      },
+      required: ['owner', 'repo', 'ref']
+    },
+    annotations: READ_ONLY,
+    handler: async (args, { github }) => {
+      const suites = await github.listCheckSuites(args.owner, args.repo, args.ref, paginationArgs(args));
+      const suiteList = suites.items.map(suite =>
+        `${suite.id}: ${suite.app ? suite.app.name : 'unknown app'} - ${suite.conclusion || suite.status} (${suite.latest_check_runs_count} check runs)`
+      ).join('\n');
+      return `Check suites for ${args.ref} in ${args.owner}/${args.repo}:\n\n${suiteList || 'No check suites found'}${formatPaginationFooter(suites)}`;
+    }
+  },
+  {
+    name: 'github_list_check_runs',
+    description: 'List the check runs reported for a ref, with the annotations (file, line and message) of runs that have them',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        ...REPO_PROPERTIES,
+        ref: { type: 'string', description: 'Commit SHA, branch or tag', minLength: 1 },
+        check_name: { type: 'string', description: 'Only check runs with this name' },
+        status: { type: 'string', enum: ['queued', 'in_progress', 'completed'], description: 'Only check runs with this status' },
+        filter: { type: 'string', enum: ['latest', 'all'], description: 'latest: most recent run of each check; all: every attempt', default: 'latest' },
+        include_annotations: { type: 'boolean', description: 'Include up to 50 annotations per check run', default: true },
+        ...PAGINATION_PROPERTIES
+      },
+      required: ['owner', 'repo', 'ref']
+    },
+    annotations: READ_ONLY,
+    handler: async (args, { github }) => {
+      const filters = { check_name: args.check_name, status: args.status, filter: args.filter };
+      const runs = await github.listCheckRuns(args.owner, args.repo, args.ref, filters, paginationArgs(args));
+      const annotated = args.include_annotations
+        ? runs.items.filter(run => run.output && run.output.annotations_count > 0)
+        : [];
+      const annotations = await Promise.all(annotated.map(run =>
+        github.listCheckRunAnnotations(args.owner, args.repo, run.id, { per_page: 50 })
+      ));
+
+      const runList = runs.items.map(run => {
+        const duration = formatDuration(run.started_at, run.completed_at);
+        const lines = [`${run.id}: ${run.name} - ${run.conclusion || run.status}${duration ? ` in ${duration}` : ''}${run.app ? ` (${run.app.name})` : ''}`];
+        if (run.output && run.output.title) {
+          lines.push(`  ${run.output.title}`);
+        }
+        if (run.details_url) {
+          lines.push(`  ${run.details_url}`);
+        }
+        const index = annotated.indexOf(run);
+        if (index !== -1) {
+          const result = annotations[index];
+          for (const annotation of result.items) {
+            const location = `${annotation.path}:${annotation.start_line}${annotation.end_line !== annotation.start_line ? `-${annotation.end_line}` : ''}`;
+            lines.push(`  [${annotation.annotation_level}] ${location} ${annotation.message.replace(/\s+/g, ' ')}`);
+          }
+          if (result.hasMore) {
+            lines.push(`  ... ${run.output.annotations_count - result.items.length} more annotations`);
+          }
+        }
+        return lines.join('\n');
+      }).join('\n');
+      return `Check runs for ${args.ref} in ${args.owner}/${args.repo}:\n\n${runList || 'No check runs found'}${formatPaginationFooter(runs)}`;
+    }
+  },
+  {
+    name: 'github_list_workflows',
+    description: 'List the GitHub Actions workflows of a repository',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        ...REPO_PROPERTIES,
+        ...PAGINATION_PROPERTIES
+      },
+      required: ['owner', 'repo']
+    },
+    annotations: READ_ONLY,
+    handler: async (args, { github }) => {
+      const workflows = await github.listWorkflows(args.owner, args.repo, paginationArgs(args));
+      const workflowList = workflows.items.map(workflow =>
+        `${workflow.id}: ${workflow.name} (${workflow.path}) - ${workflow.state}`
+      ).join('\n');
+      return `Workflows in ${args.owner}/${args.repo}:\n\n${workflowList || 'No workflows found'}${formatPaginationFooter(workflows)}`;
+    }
+  },
+  {
+    name: 'github_list_workflow_runs',
+    description: 'List GitHub Actions workflow runs, optionally for one workflow and filtered by branch, status, event or commit',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        ...REPO_PROPERTIES,
+        workflow_id: { type: 'string', description: 'Workflow ID or file name, e.g. ci.yml (all workflows if omitted)' },
+        branch: { type: 'string', description: 'Only runs for this branch' },
+        status: {
+          type: 'string',
+          description: 'Only runs with this status or conclusion',
+          enum: ['queued', 'in_progress', 'completed', 'waiting', 'requested', 'pending', 'action_required', 'success', 'failure', 'cancelled', 'skipped', 'timed_out', 'neutral', 'stale']
+        },
+        event: { type: 'string', description: 'Only runs triggered by this event, e.g. push, pull_request, workflow_dispatch' },
+        head_sha: { type: 'string', description: 'Only runs for this commit SHA' },
+        ...PAGINATION_PROPERTIES
+      },
+      required: ['owner', 'repo']
+    },
+    annotations: READ_ONLY,
+    handler: async (args, { github }) => {
+      const filters = { branch: args.branch, status: args.status, event: args.event, head_sha: args.head_sha };
+      const runs = await github.listWorkflowRuns(args.owner, args.repo, args.workflow_id, filters, paginationArgs(args));
+      const runList = runs.items.map(formatWorkflowRun).join('\n');
+      return `Workflow runs in ${args.owner}/${args.repo}:\n\n${runList || 'No workflow runs found'}${formatPaginationFooter(runs)}`;
+    }
+  },
+  {
+    name: 'github_get_workflow_run',
+    description: 'Get a GitHub Actions workflow run with its jobs and their steps',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        ...REPO_PROPERTIES,
+        run_id: { type: 'integer', description: 'Workflow run ID', minimum: 1 },
+        all_attempts: { type: 'boolean', description: 'Include jobs from earlier attempts of the run', default: false }
+      },
+      required: ['owner', 'repo', 'run_id']
+    },
+    annotations: READ_ONLY,
+    handler: async (args, { github }) => {
+      const [run, jobs] = await Promise.all([
+        github.getWorkflowRun(args.owner, args.repo, args.run_id),
+        github.listWorkflowRunJobs(args.owner, args.repo, args.run_id, args.all_attempts ? 'all' : 'latest')
+      ]);
+
+      const lines = [
+        formatWorkflowRun(run),
+        `Workflow: ${run.path || run.workflow_id}`,
+        `Commit: ${run.head_commit ? run.head_commit.message.split('\n')[0] : run.head_sha}`,
+        `Pull requests: ${run.pull_requests.map(pullRequest => `#${pullRequest.number}`).join(', ') || 'none'}`,
+        '',
+        `Jobs (${jobs.items.length}):`
+      ];
+      for (const job of jobs.items) {
+        const duration = formatDuration(job.started_at, job.completed_at);
+        lines.push(`- Job ${job.id}: ${job.name} - ${job.conclusion || job.status}${duration ? ` in ${duration}` : ''}${args.all_attempts ? ` (attempt ${job.run_attempt})` : ''}`);
+        for (const step of job.steps || []) {
+          lines.push(`    ${step.number}. ${step.name} - ${step.conclusion || step.status}`);
+        }
+      }
+      const failed = jobs.items.filter(job => job.conclusion === 'failure');
+      if (failed.length > 0) {
+        lines.push('', `Read the logs of a failed job with github_get_job_logs (job_id ${failed.map(job => job.id).join(', ')}).`);
+      }
+      return lines.join('\n');
+    }
+  },
+  {
+    name: 'github_get_job_logs',
+    description: 'Get the log of a GitHub Actions job as plain text, optionally only its last lines',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        ...REPO_PROPERTIES,
+        job_id: { type: 'integer', description: 'Job ID (from github_get_workflow_run)', minimum: 1 },
+        tail_lines: { type: 'integer', description: 'Only return the last N lines, where failures usually are', minimum: 1, maximum: 10000 },
+        max_length: { type: 'integer', description: 'Maximum number of characters to return, counted from the end of the log', minimum: 1000, maximum: 1000000, default: 50000 },
+        timestamps: { type: 'boolean', description: 'Keep the timestamp GitHub adds to every line', default: false }
+      },
+      required: ['owner', 'repo', 'job_id']
+    },
+    annotations: READ_ONLY,
+    handler: async (args, { github }) => {
+      const raw = await github.getJobLogs(args.owner, args.repo, args.job_id);
+      const lines = cleanJobLog(typeof raw === 'string' ? raw : '', args.timestamps).split('\n');
+      if (lines[lines.length - 1] === '') {
+        lines.pop();
+      }
+
+      let header = `Log of job ${args.job_id} (${lines.length} lines)`;
+      let shown = lines;
+      if (args.tail_lines && lines.length > args.tail_lines) {
+        shown = lines.slice(-args.tail_lines);
+        header = `Log of job ${args.job_id} (last ${args.tail_lines} of ${lines.length} lines)`;
+      }
+      return `${header}:\n\n${truncateTextStart(shown.join('\n'), args.max_length)}`;
+    }
+  },
+  {
+    name: 'github_rerun_workflow_run',
+    description: 'Re-run the failed jobs of a GitHub Actions workflow run, or the whole run',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        ...REPO_PROPERTIES,
+        run_id: { type: 'integer', description: 'Workflow run ID', minimum: 1 },
+        failed_only: { type: 'boolean', description: 'Only re-run failed jobs and the jobs that depend on them', default: true }
+      },
+      required: ['owner', 'repo', 'run_id']
+    },
+    annotations: ADDITIVE_WRITE,
+    handler: async (args, { github }) => {
+      await github.rerunWorkflowRun(args.owner, args.repo, args.run_id, args.failed_only);
+      return `Requested a re-run of ${args.failed_only ? 'the failed jobs of ' : ''}run ${args.run_id} in ${args.owner}/${args.repo}`;
+    }
+  },
+  {
+    name: 'github_cancel_workflow_run',
+    description: 'Cancel a queued or in-progress GitHub Actions workflow run',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        ...REPO_PROPERTIES,
+        run_id: { type: 'integer', description: 'Workflow run ID', minimum: 1 }
+      },
+      required: ['owner', 'repo', 'run_id']
+    },
+    annotations: IDEMPOTENT_WRITE,
+    preview: async (args, { github }) => {
+      const run = await github.getWorkflowRun(args.owner, args.repo, args.run_id);
+      return `Cancel workflow run:\n${formatWorkflowRun(run)}`;
+    },
+    handler: async (args, { github }) => {
+      await github.cancelWorkflowRun(args.owner, args.repo, args.run_id);
+      return `Requested cancellation of run ${args.run_id} in ${args.owner}/${args.repo}`;
+    }
+  },
+  {
+    name: 'github_dispatch_workflow',
+    description: 'Trigger a GitHub Actions workflow that has a workflow_dispatch trigger',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        ...REPO_PROPERTIES,
+        workflow_id: { type: 'string', description: 'Workflow ID or file name, e.g. deploy.yml', minLength: 1 },
+        ref: { type: 'string', description: 'Branch or tag to run the workflow on (defaults to the default branch)' },
+        inputs: { type: 'object', description: 'Values for the inputs declared by the workflow' }
+      },
+      required: ['owner', 'repo', 'workflow_id']
+    },
+    annotations: ADDITIVE_WRITE,
+    handler: async (args, { github }) => {
+      const ref = args.ref || (await github.getRepository(args.owner, args.repo)).default_branch;
+      await github.dispatchWorkflow(args.owner, args.repo, args.workflow_id, ref, args.inputs || {});
+      return `Triggered workflow ${args.workflow_id} on ${ref} in ${args.owner}/${args.repo}\n` +
+        'The run starts shortly; find it with github_list_workflow_runs using event "workflow_dispatch".';
+    }
+  },
+  {
+    name: 'github_list_artifacts',
+    description: 'List GitHub Actions artifacts of a repository or of one workflow run',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        ...REPO_PROPERTIES,
+        run_id: { type: 'integer', description: 'Only artifacts of this workflow run', minimum: 1 },
+        name: { type: 'string', description: 'Only artifacts with exactly this name' },
+        ...PAGINATION_PROPERTIES
+      },
+      required: ['owner', 'repo']
+    },
+    annotations: READ_ONLY,
+    handler: async (args, { github }) => {
+      const artifacts = await github.listArtifacts(args.owner, args.repo, args.run_id, args.name, paginationArgs(args));
+      const artifactList = artifacts.items.map(artifact =>
+        `${artifact.id}: ${artifact.name} - ${formatSize(artifact.size_in_bytes)}${artifact.expired ? ' [expired]' : `, expires ${artifact.expires_at}`}` +
+        `${artifact.workflow_run ? ` (run ${artifact.workflow_run.id})` : ''}`
+      ).join('\n');
+      return `Artifacts in ${args.owner}/${args.repo}:\n\n${artifactList || 'No artifacts found'}${formatPaginationFooter(artifacts)}`;
+    }
+  },
+  {
+    name: 'github_get_artifact',
+    description: 'Get the metadata of a GitHub Actions artifact, including its download URL',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        ...REPO_PROPERTIES,
+        artifact_id: { type: 'integer', description: 'Artifact ID', minimum: 1 }
+      },
+      required: ['owner', 'repo', 'artifact_id']
+    },
+    annotations: READ_ONLY,
+    handler: async (args, { github }) => {
+      const artifact = await github.getArtifact(args.owner, args.repo, args.artifact_id);
+      const run = artifact.workflow_run;
+      return [
+        `Artifact ${artifact.id}: ${artifact.name}`,
+        `Size: ${formatSize(artifact.size_in_bytes)}`,
+        `Digest: ${artifact.digest || 'unknown'}`,
+        `Created: ${artifact.created_at}`,
+        `Expires: ${artifact.expires_at}${artifact.expired ? ' (expired)' : ''}`,
+        `Workflow run: ${run ? `${run.id} on ${run.head_branch} (${run.head_sha.slice(0, 7)})` : 'unknown'}`,
+        `Download (zip, needs a token with actions:read): ${artifact.expired ? 'no longer available' : artifact.archive_download_url}`
+      ].join('\n');
+    }
+  },
+  {
+    name: 'github_list_releases',
+    description: 'List the releases of a repository, newest first, including drafts visible to the credentials',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        ...REPO_PROPERTIES,
+        ...PAGINATION_PROPERTIES
+      },
+      required: ['owner', 'repo']
+    },
+    annotations: READ_ONLY,
+    handler: async (args, { github }) => {
+      const releases = await github.listReleases(args.owner, args.repo, paginationArgs(args));
+      const releaseList = releases.items.map(formatRelease).join('\n');
+      return `Releases in ${args.owner}/${args.repo}:\n\n${releaseList || 'No releases found'}${formatPaginationFooter(releases)}`;
+    }
+  },
+  {
+    name: 'github_get_release',
+    description: 'Get a release with its notes and assets, by ID or tag; the latest release if neither is given',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        ...REPO_PROPERTIES,
+        ...RELEASE_PROPERTIES
+      },
+      required: ['owner', 'repo']
+    },
+    annotations: READ_ONLY,
+    handler: async (args, { github }) => {
+      const release = args.release_id || args.tag
+        ? await resolveRelease(github, args)
+        : await github.getLatestRelease(args.owner, args.repo);
+      const assets = release.assets.map(asset =>
+        `- ${asset.name} (ID ${asset.id}): ${formatSize(asset.size)}, ${asset.download_count} downloads\n  ${asset.browser_download_url}`
+      );
+      return [
+        formatRelease(release),
+        `Target: ${release.target_commitish}`,
+        `Created: ${release.created_at}`,
+        '',
+        release.body || '(no release notes)',
+        '',
+        `Assets (${release.assets.length}):`,
+        ...assets
+      ].join('\n');
+    }
+  },
+  {
+    name: 'github_create_release',
+    description: 'Create a release. The tag is created from target_commitish if it does not exist yet.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        ...REPO_PROPERTIES,
+        tag_name: { type: 'string', description: 'Tag for the release, e.g. v1.2.0', minLength: 1 },
+        target_commitish: { type: 'string', description: 'Branch or commit SHA for a new tag (defaults to the default branch)' },
+        name: { type: 'string', description: 'Release title (defaults to the tag name)' },
+        body: { type: 'string', description: 'Release notes in Markdown' },
+        draft: { type: 'boolean', description: 'Create an unpublished draft', default: false },
+        prerelease: { type: 'boolean', description: 'Mark as a pre-release', default: false },
+        generate_release_notes: { type: 'boolean', description: 'Let GitHub write the notes from merged pull requests (added after body)', default: false },
+        make_latest: { type: 'string', enum: ['true', 'false', 'legacy'], description: 'Whether this becomes the latest release' }
+      },
+      required: ['owner', 'repo', 'tag_name']
+    },
+    annotations: ADDITIVE_WRITE,
+    handler: async (args, { github }) => {
+      const release = await github.createRelease(args.owner, args.repo, {
+        tag_name: args.tag_name,
+        target_commitish: args.target_commitish,
+        name: args.name,
+        body: args.body,
+        draft: args.draft,
+        prerelease: args.prerelease,
+        generate_release_notes: args.generate_release_notes,
+        make_latest: args.make_latest
+      });
+      return `Created release:\n${formatRelease(release)}`;
+    }
+  },
+  {
+    name: 'github_update_release',
+    description: 'Update a release\'s title, notes, tag or flags, e.g. publish a draft',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        ...REPO_PROPERTIES,
+        ...RELEASE_PROPERTIES,
+        tag_name: { type: 'string', description: 'New tag name' },
+        target_commitish: { type: 'string', description: 'Branch or commit SHA for a new tag' },
+        name: { type: 'string', description: 'New title' },
+        body: { type: 'string', description: 'New release notes' },
+        draft: { type: 'boolean', description: 'false publishes a draft' },
+        prerelease: { type: 'boolean', description: 'Mark or unmark as a pre-release' },
+        make_latest: { type: 'string', enum: ['true', 'false', 'legacy'], description: 'Whether this becomes the latest release' }
+      },
+      required: ['owner', 'repo']
+    },
+    annotations: IDEMPOTENT_WRITE,
+    preview: async (args, { github }) => {
+      const release = await resolveRelease(github, args);
+      const changes = ['tag_name', 'target_commitish', 'name', 'body', 'draft', 'prerelease']
+        .filter(field => args[field] !== undefined && args[field] !== release[field])
+        .map(field => field === 'body'
+          ? `- body: ${(release.body || '').length} -> ${args.body.length} characters`
+          : `- ${field}: ${JSON.stringify(release[field])} -> ${JSON.stringify(args[field])}`);
+      if (args.make_latest !== undefined) {
+        changes.push(`- make_latest: ${args.make_latest}`);
+      }
+      return `Update release ${release.tag_name} (ID ${release.id}) in ${args.owner}/${args.repo}:\n${changes.join('\n') || '(no changes)'}`;
+    },
+    handler: async (args, { github }) => {
+      const release = await resolveRelease(github, args);
+      const updated = await github.updateRelease(args.owner, args.repo, release.id, {
+        tag_name: args.tag_name,
+        target_commitish: args.target_commitish,
+        name: args.name,
+        body: args.body,
+        draft: args.draft,
+        prerelease: args.prerelease,
+        make_latest: args.make_latest
+      });
+      return `Updated release:\n${formatRelease(updated)}`;
+    }
+  },
+  {
+    name: 'github_delete_release',
+    description: 'Delete a release and its assets. The tag is kept.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        ...REPO_PROPERTIES,
+        ...RELEASE_PROPERTIES
+      },
+      required: ['owner', 'repo']
+    },
+    annotations: DESTRUCTIVE_WRITE,
+    preview: async (args, { github }) => {
+      const release = await resolveRelease(github, args);
+      return `Delete release ${release.tag_name} (ID ${release.id}) with ${release.assets.length} asset(s) from ${args.owner}/${args.repo}. The tag is kept.`;
+    },
+    handler: async (args, { github }) => {
+      const release = await resolveRelease(github, args);
+      await github.deleteRelease(args.owner, args.repo, release.id);
+      return `Deleted release ${release.tag_name} (ID ${release.id}) from ${args.owner}/${args.repo}; tag ${release.tag_name} was kept`;
+    }
+  },
+  {
+    name: 'github_generate_release_notes',
+    description: 'Generate release notes from the pull requests merged between two tags, without creating a release',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        ...REPO_PROPERTIES,
+        tag_name: { type: 'string', description: 'Tag of the release the notes are for; it does not need to exist yet', minLength: 1 },
+        previous_tag_name: { type: 'string', description: 'Tag to start from (defaults to the previous release)' },
+        target_commitish: { type: 'string', description: 'Branch or commit SHA the new tag would point at, if the tag does not exist' },
+        configuration_file_path: { type: 'string', description: 'Release notes configuration file (defaults to .github/release.yml)' }
+      },
+      required: ['owner', 'repo', 'tag_name']
+    },
+    annotations: READ_ONLY,
+    handler: async (args, { github }) => {
+      const notes = await github.generateReleaseNotes(args.owner, args.repo, {
+        tag_name: args.tag_name,
+        previous_tag_name: args.previous_tag_name,
+        target_commitish: args.target_commitish,
+        configuration_file_path: args.configuration_file_path
+      });
+      return `${notes.name}\n\n${notes.body}`;
+    }
+  },
+  {
+    name: 'github_upload_release_asset',
+    description: 'Upload a file, given as base64, as an asset of a release',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        ...REPO_PROPERTIES,
+        ...RELEASE_PROPERTIES,
+        name: { type: 'string', description: 'Asset file name, e.g. app-linux-x64.tar.gz', minLength: 1 },
+        content_base64: { type: 'string', description: 'File content encoded as base64', minLength: 1 },
+        content_type: { type: 'string', description: 'MIME type (guessed from the file name if omitted)' },
+        label: { type: 'string', description: 'Display label shown instead of the file name' }
+      },
+      required: ['owner', 'repo', 'name', 'content_base64']
+    },
+    annotations: ADDITIVE_WRITE,
+    handler: async (args, { github }) => {
+      const encoded = args.content_base64.replace(/\s+/g, '');
+      if (!/^[A-Za-z0-9+/]*={0,2}$/.test(encoded) || encoded.length % 4 === 1) {
+        throw new Error('content_base64 is not valid base64');
+      }
+      const release = await resolveRelease(github, args);
+      const asset = await github.uploadReleaseAsset(
+        release,
+        args.name,
+        Buffer.from(encoded, 'base64'),
+        args.content_type || mimeTypeFor(args.name, true),
+        args.label
+      );
+      return `Uploaded ${asset.name} (${formatSize(asset.size)}, ${asset.content_type}) to release ${release.tag_name}\nAsset ID: ${asset.id}\nDownload: ${asset.browser_download_url}`;
+    }
+  },
+  {
+    name: 'github_list_tags',
+    description: 'List the tags of a repository',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        ...REPO_PROPERTIES,
+        ...PAGINATION_PROPERTIES
+      },
+      required: ['owner', 'repo']
+    },
+    annotations: READ_ONLY,
+    handler: async (args, { github }) => {
+      const tags = await github.listTags(args.owner, args.repo, paginationArgs(args));
+      const tagList = tags.items.map(tag => `${tag.name} -> ${tag.commit.sha.slice(0, 7)}`).join('\n');
+      return `Tags in ${args.owner}/${args.repo}:\n\n${tagList || 'No tags found'}${formatPaginationFooter(tags)}`;
+    }
+  },
+  {
+    name: 'github_create_tag',
+    description: 'Create a tag. With a message it is an annotated tag, otherwise a lightweight one.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        ...REPO_PROPERTIES,
+        tag: { type: 'string', description: 'Tag name, e.g. v1.2.0', minLength: 1 },
+        target: { type: 'string', description: 'Branch, tag or commit SHA to tag (defaults to the default branch)' },
+        message: { type: 'string', description: 'Tag message; creates an annotated tag' },
+        tagger_name: { type: 'string', description: 'Tagger name for an annotated tag (defaults to the authenticated user)' },
+        tagger_email: { type: 'string', description: 'Tagger email for an annotated tag' }
+      },
+      required: ['owner', 'repo', 'tag']
+    },
+    annotations: ADDITIVE_WRITE,
+    handler: async (args, { github }) => {
+      const target = args.target || (await github.getRepository(args.owner, args.repo)).default_branch;
+      // A branch target may have moved since it was cached
+      const commit = await github.getCommit(args.owner, args.repo, target, { revalidate: true });
+
+      let sha = commit.sha;
+      if (args.message) {
+        const tagger = args.tagger_name && args.tagger_email
+          ? { name: args.tagger_name, email: args.tagger_email, date: new Date().toISOString() }
+          : undefined;
+        const tagObject = await github.createTagObject(args.owner, args.repo, {
+          tag: args.tag,
+          message: args.message,
+          object: commit.sha,
+          type: 'commit',
+          tagger
+        });
+        sha = tagObject.sha;
+      }
+      await github.createRef(args.owner, args.repo, `refs/tags/${args.tag}`, sha);
+      return `Created ${args.message ? 'annotated' : 'lightweight'} tag ${args.tag} at ${commit.sha.slice(0, 7)} (${target}) in ${args.owner}/${args.repo}`;
+    }
+  },
+  {
+    name: 'github_search_repositories',
+    description: 'Search for repositories',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        query: { type: 'string', description: 'Search query' },
+        ...PAGINATION_PROPERTIES
+      },
+      required: ['query']
+    },
+    annotations: READ_ONLY,
+    handler: async (args, { github }) => {
+      const results = filterPageRepositories(await github.searchRepositories(args.query, paginationArgs(args)), repo => repo.full_name);
+      const repoSearchList = results.items.map(repo =>
+        `${repo.full_name} - ${repo.description || 'No description'} (Stars: ${repo.stargazers_count})`
+      ).join('\n');
+      return `Repository search results for "${args.query}":\n\n${repoSearchList}${formatPaginationFooter(results)}`;
+    }
+  },
+  {
+    name: 'github_search_code',
+    description: 'Search for code in repositories',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        query: { type: 'string', description: 'Search query' },
+        ...PAGINATION_PROPERTIES
+      },
+      required: ['query']
+    },
+    annotations: READ_ONLY,
+    handler: async (args, { github }) => {
+      const results = filterPageRepositories(await github.searchCode(args.query, paginationArgs(args)), code => code.repository.full_name);
+      const codeSearchList = results.items.map(code =>
+        `${code.repository.full_name}/${code.path}`
+      ).join('\n');
+      return `Code search results for "${args.query}":\n\n${codeSearchList}${formatPaginationFooter(results)}`;
+    }
+  },
+  {
+    name: 'github_search_issues',
+    description: 'Search for issues across repositories',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        query: { type: 'string', description: 'Search query' },
+        ...PAGINATION_PROPERTIES
+      },
+      required: ['query']
+    },
+    annotations: READ_ONLY,
+    handler: async (args, { github }) => {
+      const repositoryOf = issue => issue.repository_url.split('/').slice(-2).join('/');
+      const results = filterPageRepositories(await github.searchIssues(args.query, paginationArgs(args)), repositoryOf);
+      const issueSearchList = results.items.map(issue =>
+        `${repositoryOf(issue)}#${issue.number}: ${issue.title} (${issue.state})`
+      ).join('\n');
+      return `Issue search results for "${args.query}":\n\n${issueSearchList}${formatPaginationFooter(results)}`;
+    }
+  },
+  {
+    name: 'github_list_issue_comments',
+    description: 'List comments on an issue',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        ...REPO_PROPERTIES,
+        issue_number: { type: 'number', description: 'Issue number' },
+        ...PAGINATION_PROPERTIES
+      },
+      required: ['owner', 'repo', 'issue_number']
+    },
+    annotations: READ_ONLY,
+    handler: async (args, { github }) => {
+      const issueComments = await github.listIssueComments(args.owner, args.repo, args.issue_number, paginationArgs(args));
+      const commentList = issueComments.items.map(comment =>
+        `${comment.user.login} at ${comment.created_at}: ${comment.body.split('\n')[0]}`
+      ).join('\n');
+      return `Comments on issue #${args.issue_number} in ${args.owner}/${args.repo}:\n\n${commentList || 'No comments'}${formatPaginationFooter(issueComments)}`;
+    }
+  },
+  {
+    name: 'github_create_issue_comment',
+    description: 'Add a comment to an issue',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        ...REPO_PROPERTIES,
+        issue_number: { type: 'number', description: 'Issue number' },
+        body: { type: 'string', description: 'Comment body' }
+      },
+      required: ['owner', 'repo', 'issue_number', 'body']
+    },
+    annotations: ADDITIVE_WRITE,
+    handler: async (args, { github }) => {
+      const newComment = await github.createIssueComment(args.owner, args.repo, args.issue_number, args.body);
+      return `Comment added to issue #${args.issue_number} in ${args.owner}/${args.repo}\nURL: ${newComment.html_url}`;
+    }
+  },
+  {
+    name: 'github_get_pull_request_readiness',
+    description: 'Check whether a pull request can be merged: mergeability, required status checks, required reviews and unresolved conversations',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        ...REPO_PROPERTIES,
+        pull_number: { type: 'integer', description: 'Pull request number', minimum: 1 }
+      },
+      required: ['owner', 'repo', 'pull_number']
+    },
+    annotations: READ_ONLY,
+    handler: async (args, { github }) => {
+      const readiness = await assessPullRequestReadiness(github, args.owner, args.repo, args.pull_number);
+      return `${formatReadiness(readiness)}${github.graphqlCostSummary()}`;
+    }
+  },
+  {
+    name: 'github_get_issue_timeline',
+    description: 'Get an issue with its timeline: comments, label and assignee changes, cross-references, closing and reopening',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        ...REPO_PROPERTIES,
+        issue_number: { type: 'integer', description: 'Issue number', minimum: 1 },
+        per_page: { type: 'integer', description: 'Timeline events per page (max 100)', minimum: 1, maximum: 100, default: 50 },
+        cursor: { type: 'string', description: 'Cursor from a previous response to continue where it left off' }
+      },
+      required: ['owner', 'repo', 'issue_number']
+    },
+    annotations: READ_ONLY,
+    handler: async (args, { github }) => {
+      const data = await github.graphql(ISSUE_TIMELINE_QUERY, {
+        owner: args.owner,
+        repo: args.repo,
+        number: args.issue_number,
+        first: args.per_page,
+        after: args.cursor || null
+      });
+      const issue = data.repository && data.repository.issue;
+      if (!issue) {
+        throw new GitHubNotFoundError(404, { message: `Issue #${args.issue_number} not found in ${args.owner}/${args.repo}` });
+      }
+
+      const timeline = issue.timelineItems;
+      const header = [
+        `Issue #${issue.number}: ${issue.title}`,
+        `State: ${issue.state}${issue.stateReason ? ` (${issue.stateReason})` : ''}`,
+        `Author: ${issue.author ? issue.author.login : 'ghost'}, opened ${issue.createdAt}`,
+        `Labels: ${issue.labels.nodes.map(label => label.name).join(', ') || 'none'}`,
+        `Assignees: ${issue.assignees.nodes.map(user => user.login).join(', ') || 'none'}`,
+        `URL: ${issue.url}`
+      ];
+      const body = args.cursor ? [] : ['', issue.body || '(no description)'];
+      const more = timeline.pageInfo.hasNextPage
+        ? `More events available. Pass cursor "${timeline.pageInfo.endCursor}" to continue.`
+        : 'No more events.';
+      return [
+        ...header,
+        ...body,
+        '',
+        `Timeline (${timeline.totalCount} events):`,
+        ...timeline.nodes.map(formatTimelineItem),
+        '',
+        `Showing ${timeline.nodes.length} of ${timeline.totalCount}. ${more}${github.graphqlCostSummary()}`
+      ].join('\n');
+    }
+  },
+  {
+    name: 'github_update_issue',
+    description: 'Update an existing issue',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        ...REPO_PROPERTIES,
+        issue_number: { type: 'number', description: 'Issue number' },
+        state: { type: 'string', enum: ['open', 'closed'], description: 'Issue state' },
+        title: { type: 'string', description: 'Issue title' },
+        body: { type: 'string', description: 'Issue body' }
+      },
+      required: ['owner', 'repo', 'issue_number']
+    },
+    annotations: IDEMPOTENT_WRITE,
+    preview: async (args, { github }) => {
+      const issue = await github.getIssue(args.owner, args.repo, args.issue_number);
+      const changes = ['state', 'title', 'body']
+        .filter(field => args[field] !== undefined && args[field] !== issue[field])
+        .map(field => field === 'body' ? '- body: replaced' : `- ${field}: "${issue[field]}" -> "${args[field]}"`);
+      return `Update issue #${issue.number} "${issue.title}" in ${args.owner}/${args.repo}:\n${changes.join('\n') || '- no changes'}`;
+    },
+    handler: async (args, { github }) => {
+      const updatedIssue = await github.updateIssue(args.owner, args.repo, args.issue_number, {
+        state: args.state,
+        title: args.title,
+        body: args.body
+      });
+      return `Updated issue #${updatedIssue.number} in ${args.owner}/${args.repo}\nState: ${updatedIssue.state}`;
+    }
+  },
+  {
+    name: 'github_create_or_update_file',
+    description: 'Create or update a file in a repository',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        ...REPO_PROPERTIES,
+        path: { type: 'string', description: 'File path' },
+        message: { type: 'string', description: 'Commit message' },
+        content: { type: 'string', description: 'Base64 encoded file content' },
+        branch: { type: 'string', description: 'Branch to update', default: 'main' },
+        sha: { type: 'string', description: 'Blob SHA of the file being replaced (looked up when omitted)' }
+      },
+      required: ['owner', 'repo', 'path', 'message', 'content']
+    },
+    annotations: IDEMPOTENT_WRITE,
+    preview: async args =>
+      `Commit "${args.message}" to ${args.owner}/${args.repo}@${args.branch}, writing ${args.path} ` +
+      `(${Buffer.from(args.content, 'base64').length} bytes), replacing the file if it exists.`,
+    handler: async (args, { github }) => {
+      // Updates must name the blob being replaced
+      let sha = args.sha;
+      if (!sha) {
+        try {
+          const existing = await github.getFileContent(args.owner, args.repo, args.path, args.branch);
+          if (Array.isArray(existing) || existing.type !== 'file') {
+            throw new Error(`${args.path} is a ${Array.isArray(existing) ? 'directory' : existing.type}, not a file`);
+          }
+          sha = existing.sha;
+        } catch (error) {
+          if (!(error instanceof GitHubNotFoundError)) {
+            throw error;
+          }
+        }
+      }
+
+      const fileUpdate = await github.createOrUpdateFile(args.owner, args.repo, args.path, {
+        message: args.message,
+        content: args.content,
+        branch: args.branch,
+        sha
+      });
+      return `${sha ? 'Updated' : 'Created'} file ${args.path} in ${args.owner}/${args.repo}\nCommit: ${fileUpdate.commit.sha}`;
+    }
+  },
+  {
+    name: 'github_commit_files',
+    description: 'Commit several file changes (add, modify, delete, rename) to a branch as a single commit',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        ...REPO_PROPERTIES,
+        branch: { type: 'string', description: 'Branch to commit to', minLength: 1 },
+        message: { type: 'string', description: 'Commit message', minLength: 1 },
+        operations: {
+          type: 'array',
+          description: 'File changes to include in the commit',
+          minItems: 1,
+          items: {
+            type: 'object',
+            properties: {
+              action: { type: 'string', enum: ['add', 'modify', 'delete', 'rename'], description: 'Kind of change' },
+              path: { type: 'string', description: 'File path (the new path for renames)', minLength: 1 },
+              previous_path: { type: 'string', description: 'Current path of a file being renamed' },
+              content: { type: 'string', description: 'New file content (optional for renames that keep the content)' },
+              encoding: { type: 'string', enum: ['utf-8', 'base64'], description: 'Encoding of content', default: 'utf-8' },
+              executable: { type: 'boolean', description: 'Set or clear the executable bit (existing files keep their mode by default)' }
+            },
+            required: ['action', 'path']
+          }
+        },
+        expected_head_sha: { type: 'string', description: 'Fail unless the branch still points at this commit' }
+      },
+      required: ['owner', 'repo', 'branch', 'message', 'operations']
+    },
+    annotations: DESTRUCTIVE_WRITE,
+    preview: async args => {
+      const changes = args.operations.map(operation => operation.action === 'rename'
+        ? `- rename ${operation.previous_path} -> ${operation.path}${operation.content !== undefined ? ' (with new content)' : ''}`
+        : `- ${operation.action} ${operation.path}`);
+      return `Commit "${args.message}" to ${args.owner}/${args.repo}@${args.branch}:\n${changes.join('\n')}`;
+    },
+    handler: async (args, { github }) => {
+      const { commit, parentSha } = await commitFileOperations(github, args);
+      const changes = args.operations.map(operation => operation.action === 'rename'
+        ? `- renamed ${operation.previous_path} -> ${operation.path}`
+        : `- ${{ add: 'added', modify: 'modified', delete: 'deleted' }[operation.action]} ${operation.path}`);
+      return `Committed ${args.operations.length} change(s) to ${args.owner}/${args.repo}@${args.branch}\n` +
+        `Commit: ${commit.sha}\nParent: ${parentSha}\nURL: ${commit.html_url}\n\n${changes.join('\n')}`;
+    }
+  },
+  {
+    name: 'github_create_repository',
+    description: 'Create a new repository',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        name: { type: 'string', description: 'Repository name' },
+        description: { type: 'string', description: 'Repository description' },
+        private: { type: 'boolean', description: 'Make repository private', default: false }
+      },
+      required: ['name']
+    },
+    annotations: ADDITIVE_WRITE,
+    handler: async (args, { github }) => {
+      const newRepository = await github.createRepository({
+        name: args.name,
+        description: args.description,
+        private: args.private || false
+      });
+      return `Created repository ${newRepository.full_name}\nURL: ${newRepository.html_url}`;
+    }
+  },
+  {
+    name: 'github_fork_repository',
+    description: 'Fork a repository',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        ...REPO_PROPERTIES,
+        organization: { type: 'string', description: 'Optional organization to fork into' }
+      },
+      required: ['owner', 'repo']
+    },
+    annotations: ADDITIVE_WRITE,
+    // The source is only read; the fork's destination needs write access and
+    // is checked in the handler, once the caller's account is known
+    repositoryAccess: 'read',
+    handler: async (args, { github }) => {
+      const destination = args.organization || (await github.getAuthenticatedUser()).login;
+      toolPolicy.checkRepositoryAccess(`${destination}/${args.repo}`, 'write', 'github_fork_repository');
+      const forkedRepo = await github.forkRepository(args.owner, args.repo, args.organization);
+      return `Forked ${args.owner}/${args.repo} to ${forkedRepo.full_name}`;
+    }
+  },
+  {
+    name: 'github_get_user',
+    description: 'Get details of a GitHub user',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        username: { type: 'string', description: 'GitHub username' }
+      },
+      required: ['username']
+    },
+    annotations: READ_ONLY,
+    handler: async (args, { github }) => {
+      const userDetails = await github.getUser(args.username);
+      return `User: ${userDetails.name || userDetails.login}\nEmail: ${userDetails.email || 'N/A'}\nCompany: ${userDetails.company || 'N/A'}\nPublic Repos: ${userDetails.public_repos}\nFollowers: ${userDetails.followers}`;
+    }
+  },
+  {
+    name: 'github_list_projects',
+    description: 'List the Projects (v2) of an organization or user',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        owner: { type: 'string', description: 'Organization or user login', minLength: 1 },
+        include_closed: { type: 'boolean', description: 'Include closed projects', default: false },
+        per_page: { type: 'integer', description: 'Projects per page (max 100)', minimum: 1, maximum: 100, default: 30 },
+        cursor: { type: 'string', description: 'Cursor from a previous response to continue where it left off' }
+      },
+      required: ['owner']
+    },
+    annotations: READ_ONLY,
+    handler: async (args, { github }) => {
+      const selection = `projectsV2(first: $first, after: $after, orderBy: { field: UPDATED_AT, direction: DESC }) {
+        totalCount
+        pageInfo { hasNextPage endCursor }
+        nodes { number title url closed shortDescription updatedAt items { totalCount } }
+      }`;
+      const data = await github.graphql(
+        `query($owner: String!, $first: Int!, $after: String) { ${projectOwnerSelection(selection)} }`,
+        { owner: args.owner, first: args.per_page, after: args.cursor || null }
+      );
+      if (!data.repositoryOwner) {
+        throw new GitHubNotFoundError(404, { message: `No organization or user named ${args.owner}` });
+      }
+
+      const projects = data.repositoryOwner.projectsV2;
+      const projectList = projects.nodes
+        .filter(project => args.include_closed || !project.closed)
+        .map(project => `#${project.number}: ${project.title}${project.closed ? ' [closed]' : ''} - ${project.items.totalCount} items, updated ${project.updatedAt}` +
+          `${project.shortDescription ? `\n  ${project.shortDescription}` : ''}\n  ${project.url}`)
+        .join('\n');
+      const more = projects.pageInfo.hasNextPage
+        ? `More results available. Pass cursor "${projects.pageInfo.endCursor}" to continue.`
+        : 'No more results.';
+      return `Projects of ${args.owner}:\n\n${projectList || 'No projects found'}\n\nShowing ${projects.nodes.length} of ${projects.totalCount} total. ${more}${github.graphqlCostSummary()}`;
+    }
+  },
+  {
+    name: 'github_get_project_items',
+    description: 'List the items of a Project (v2) with their field values, such as status and iteration',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        owner: { type: 'string', description: 'Organization or user login that owns the project', minLength: 1 },
+        project_number: { type: 'integer', description: 'Project number (from its URL)', minimum: 1 },
+        per_page: { type: 'integer', description: 'Items per page (max 100)', minimum: 1, maximum: 100, default: 30 },
+        cursor: { type: 'string', description: 'Cursor from a previous response to continue where it left off' }
+      },
+      required: ['owner', 'project_number']
+    },
+    annotations: READ_ONLY,
+    handler: async (args, { github }) => {
+      const data = await github.graphql(
+        `query($owner: String!, $number: Int!, $first: Int!, $after: String) { ${projectOwnerSelection(PROJECT_ITEMS_SELECTION)} }`,
+        { owner: args.owner, number: args.project_number, first: args.per_page, after: args.cursor || null }
+      );
+      const project = data.repositoryOwner && data.repositoryOwner.projectV2;
+      if (!project) {
+        throw new GitHubNotFoundError(404, { message: `Project ${args.project_number} not found for ${args.owner}` });
+      }
+
+      const items = project.items;
+      // Draft items have no repository and are always shown
+      const nodes = toolPolicy.filterRepositories(items.nodes, item =>
+        item.content && item.content.repository ? item.content.repository.nameWithOwner : '');
+      const total = nodes.length === items.nodes.length ? ` of ${items.totalCount} total` : '';
+      const more = items.pageInfo.hasNextPage
+        ? `More results available. Pass cursor "${items.pageInfo.endCursor}" to continue.`
+        : 'No more results.';
+      return `Project ${project.title} (${project.url}):\n\n${nodes.map(formatProjectItem).join('\n') || 'No items'}` +
+        `\n\nShowing ${nodes.length}${total}. ${more}${github.graphqlCostSummary()}`;
+    }
+  },
+  {
+    name: 'github_add_project_item',
+    description: 'Add an issue or pull request to a Project (v2)',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        ...REPO_PROPERTIES,
+        issue_number: { type: 'integer', description: 'Issue or pull request number in owner/repo', minimum: 1 },
+        project_owner: { type: 'string', description: 'Organization or user that owns the project (defaults to owner)' },
+        project_number: { type: 'integer', description: 'Project number (from its URL)', minimum: 1 }
+      },
+      required: ['owner', 'repo', 'issue_number', 'project_number']
+    },
+    annotations: ADDITIVE_WRITE,
+    handler: async (args, { github }) => {
+      const projectOwner = args.project_owner || args.owner;
+      // Both lookups go to GitHub as one batched query
+      const [ownerData, repository] = await Promise.all([
+        github.graphqlField(projectOwnerSelection('projectV2(number: $number) { id title }'), {
+          owner: { type: 'String!', value: projectOwner },
+          number: { type: 'Int!', value: args.project_number }
+        }),
+        github.graphqlField('repository(owner: $owner, name: $repo) { issueOrPullRequest(number: $number) { ... on Issue { id } ... on PullRequest { id } } }', {
+          owner: { type: 'String!', value: args.owner },
+          repo: { type: 'String!', value: args.repo },
+          number: { type: 'Int!', value: args.issue_number }
+        })
+      ]);
+      const project = ownerData && ownerData.projectV2;
+      const content = repository && repository.issueOrPullRequest;
+      if (!project || !content) {
+        throw new GitHubNotFoundError(404, {
+          message: !project
+            ? `Project ${args.project_number} not found for ${projectOwner}`
+            : `#${args.issue_number} not found in ${args.owner}/${args.repo}`
+        });
+      }
+
+      const result = await github.graphql(
+        'mutation($project: ID!, $content: ID!) { addProjectV2ItemById(input: { projectId: $project, contentId: $content }) { item { id } } }',
+        { project: project.id, content: content.id }
+      );
+      return `Added ${args.owner}/${args.repo}#${args.issue_number} to project ${project.title}\nItem ID: ${result.addProjectV2ItemById.item.id}${github.graphqlCostSummary()}`;
+    }
+  },
+  {
+    name: 'github_update_project_item_field',
+    description: 'Set a field of a Project (v2) item, such as Status, a date, a number, text or an iteration',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        owner: { type: 'string', description: 'Organization or user login that owns the project', minLength: 1 },
+        project_number: { type: 'integer', description: 'Project number (from its URL)', minimum: 1 },
+        item_id: { type: 'string', description: 'Project item ID (from github_get_project_items or github_add_project_item)', minLength: 1 },
+        field: { type: 'string', description: 'Field name, e.g. Status', minLength: 1 },
+        value: { type: 'string', description: 'New value: option name for single-select fields, iteration title, number, YYYY-MM-DD date or text' }
+      },
+      required: ['owner', 'project_number', 'item_id', 'field', 'value']
+    },
+    annotations: IDEMPOTENT_WRITE,
+    handler: async (args, { github }) => {
+      const data = await github.graphql(
+        `query($owner: String!, $number: Int!) { ${projectOwnerSelection(`projectV2(number: $number) { id title ${PROJECT_FIELDS_SELECTION} }`)} }`,
+        { owner: args.owner, number: args.project_number }
+      );
+      const project = data.repositoryOwner && data.repositoryOwner.projectV2;
+      if (!project) {
+        throw new GitHubNotFoundError(404, { message: `Project ${args.project_number} not found for ${args.owner}` });
+      }
+      const field = project.fields.nodes.find(candidate => candidate.name && candidate.name.toLowerCase() === args.field.toLowerCase());
+      if (!field) {
+        throw new Error(`Project has no field "${args.field}". Fields: ${project.fields.nodes.map(candidate => candidate.name).filter(Boolean).join(', ')}`);
+      }
+
+      let value;
+      switch (field.dataType) {
+        case 'SINGLE_SELECT': {
+          const option = field.options.find(candidate => candidate.name.toLowerCase() === args.value.toLowerCase());
+          if (!option) {
+            throw new Error(`"${args.value}" is not an option of ${field.name}. Options: ${field.options.map(candidate => candidate.name).join(', ')}`);
+          }
+          value = { singleSelectOptionId: option.id };
+          break;
+        }
+        case 'ITERATION': {
+          const iteration = field.configuration.iterations.find(candidate => candidate.title.toLowerCase() === args.value.toLowerCase());
+          if (!iteration) {
+            throw new Error(`"${args.value}" is not a current iteration of ${field.name}. Iterations: ${field.configuration.iterations.map(candidate => candidate.title).join(', ')}`);
+          }
+          value = { iterationId: iteration.id };
+          break;
+        }
+        case 'NUMBER':
+          if (isNaN(Number(args.value))) {
+            throw new Error(`${field.name} needs a number`);
+          }
+          value = { number: Number(args.value) };
+          break;
+        case 'DATE':
+          if (!/^\d{4}-\d{2}-\d{2}$/.test(args.value)) {
+            throw new Error(`${field.name} needs a date as YYYY-MM-DD`);
+          }
+          value = { date: args.value };
+          break;
+        case 'TEXT':
+          value = { text: args.value };
+          break;
+        default:
+          throw new Error(`Fields of type ${field.dataType} cannot be set through the API`);
+      }
+
+      await github.graphql(
+        'mutation($input: UpdateProjectV2ItemFieldValueInput!) { updateProjectV2ItemFieldValue(input: $input) { projectV2Item { id } } }',
+        { input: { projectId: project.id, itemId: args.item_id, fieldId: field.id, value } }
+      );
+      return `Set ${field.name} to "${args.value}" on item ${args.item_id} in project ${project.title}${github.graphqlCostSummary()}`;
+    }
+  },
+  {
+    name: 'github_confirm_action',
+    description: 'Carry out a destructive action that was held for confirmation. Pass the token from the pending-action response only after the user has approved the preview.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        token: { type: 'string', description: 'Pending-action token', minLength: 1 }
+      },
+      required: ['token']
+    },
+    annotations: DESTRUCTIVE_WRITE,
+    enabled: () => toolPolicy.confirmDestructive,
+    // This is the confirmation itself; don't ask again
+    confirmed: true,
+    // Has no repository of its own; the held call is checked against policy below
+    wrapsToolCall: true,
+    handler: async (args, context) => {
+      const action = takePendingAction(args.token, context);
+      // Policy may have changed while the call was held; a denial fails the
+      // confirmation before anything runs
+      const tool = toolsByName.get(action.toolName);
+      if (!tool || (tool.enabled && !tool.enabled())) {
+        throw new Error(`${action.toolName} is no longer available, so nothing was changed.`);
+      }
+      toolPolicy.checkCall(tool, action.args);
+      return await callTool(action.toolName, action.args, { ...context, confirmed: true });
+    }
+  },
+  {
+    name: 'github_get_rate_limit',
+    description: 'Get the remaining GitHub API rate-limit budget for the current credentials',
+    inputSchema: {
+      type: 'object',
+      properties: {}
+    },
+    annotations: READ_ONLY,
+    handler: async (args, { github }) => {
+      const status = await github.getRateLimit();
+      const lines = Object.entries(status.resources || {}).map(([resource, budget]) =>
+        `${resource}: ${budget.remaining}/${budget.limit} remaining, resets ${new Date(budget.reset * 1000).toISOString()}`
+      );
+      return `GitHub API rate limits:\n\n${lines.join('\n')}`;
+    }
+  }
+];
+
+const toolsByName = new Map(TOOLS.map(tool => [tool.name, tool]));
+
+// "a number", "an integer"
+function withArticle(noun) {
+  return `${/^[aeiou]/i.test(noun) ? 'an' : 'a'} ${noun}`;
+}
+
+// Validate a value against the subset of JSON Schema the tool registry uses,
+// applying declared defaults and coercing string-typed scalars. Returns the
+// coerced value and appends { field, message } entries to `errors`.
+function validateSchemaValue(schema, value, field, errors) {
+  if (value === undefined) {
+    return schema.default !== undefined ? JSON.parse(JSON.stringify(schema.default)) : undefined;
+  }
+
+  switch (schema.type) {
+    case 'string':
+      if (typeof value === 'number' || typeof value === 'boolean') {
+        value = String(value);
+      }
+      if (typeof value !== 'string') {
+        errors.push({ field, message: 'must be a string' });
+        return value;
+      }
+      if (schema.minLength !== undefined && value.length < schema.minLength) {
+        errors.push({ field, message: `must be at least ${schema.minLength} characters` });
+      }
+      if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+        errors.push({ field, message: `must match pattern ${schema.pattern}` });
+      }
+      break;
+
+    case 'number':
+    case 'integer':
+      if (typeof value === 'string' && value.trim() !== '' && !isNaN(Number(value))) {
+        value = Number(value);
+      }
+      if (typeof value !== 'number' || !isFinite(value)) {
+        errors.push({ field, message: `must be ${withArticle(schema.type)}` });
+        return value;
+      }
+      if (schema.type === 'integer' && !Number.isInteger(value)) {
+        errors.push({ field, message: 'must be an integer' });
+      }
+      if (schema.minimum !== undefined && value < schema.minimum) {
+        errors.push({ field, message: `must be >= ${schema.minimum}` });
+      }
+      if (schema.maximum !== undefined && value > schema.maximum) {
+        errors.push({ field, message: `must be <= ${schema.maximum}` });
+      }
+      break;
+
+    case 'boolean':
+      if (value === 'true' || value === 'false') {
+        value = value === 'true';
+      }
+      if (typeof value !== 'boolean') {
+        errors.push({ field, message: 'must be a boolean' });
+        return value;
+      }
+      break;
+
+    case 'array':
+      if (!Array.isArray(value)) {
+        errors.push({ field, message: 'must be an array' });
+        return value;
+      }
+      if (schema.minItems !== undefined && value.length < schema.minItems) {
+        errors.push({ field, message: `must contain at least ${schema.minItems} items` });
+      }
+      if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+        errors.push({ field, message: `must contain at most ${schema.maxItems} items` });
+      }
+      if (schema.items) {
+        value = value.map((item, index) => validateSchemaValue(schema.items, item, `${field}[${index}]`, errors));
+      }
+      break;
+
+    case 'object': {
+      if (typeof value !== 'object' || value === null || Array.isArray(value)) {
+        errors.push({ field: field || '(arguments)', message: 'must be an object' });
+        return value;
+      }
+      const result = { ...value };
+      const properties = schema.properties || {};
+      const prefix = field ? `${field}.` : '';
+
+      for (const key of schema.required || []) {
+        if (value[key] === undefined || value[key] === null) {
+          errors.push({ field: `${prefix}${key}`, message: 'is required' });
+        }
+      }
+      for (const [key, propertySchema] of Object.entries(properties)) {
+        if (value[key] === null) {
+          continue;
+        }
+        const coerced = validateSchemaValue(propertySchema, value[key], `${prefix}${key}`, errors);
+        if (coerced !== undefined) {
+          result[key] = coerced;
+        }
+      }
+      if (schema.additionalProperties === false) {
+        for (const key of Object.keys(value)) {
+          if (!(key in properties)) {
+            errors.push({ field: `${prefix}${key}`, message: 'is not a recognized argument' });
+          }
+        }
+      }
+      value = result;
+      break;
+    }
+  }
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push({ field, message: `must be one of: ${schema.enum.join(', ')}` });
+  }
+
+  return value;
+}
+
+// Validate tool arguments against the tool's inputSchema, or throw -32602
+function validateToolArguments(tool, args) {
+  const errors = [];
+  const validated = validateSchemaValue(tool.inputSchema, args === undefined ? {} : args, '', errors);
+
+  if (errors.length > 0) {
+    const details = errors.map(error => `${error.field}: ${error.message}`).join('; ');
+    throw new JsonRpcError(-32602, `Invalid params for ${tool.name}: ${details}`, { errors });
+  }
+
+  return validated;
+}
+
+// Convert a glob ('*' within a path segment, '**' across segments, '?' one
+// character) into an anchored, case-insensitive regular expression
+function globToRegExp(glob) {
+  let source = '';
+  for (let i = 0; i < glob.length; i++) {
+    const char = glob[i];
+    if (char === '*' && glob[i + 1] === '*' && glob[i + 2] === '/') {
+      // "**/" also matches no directories at all
+      source += '(?:.*/)?';
+      i += 2;
+    } else if (char === '*' && glob[i + 1] === '*') {
+      source += '.*';
+      i++;
+    } else if (char === '*') {
+      source += '[^/]*';
+    } else if (char === '?') {
+      source += '[^/]';
+    } else {
+      source += char.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+    }
+  }
+  return new RegExp(`^${source}$`, 'i');
+}
+
+function matchesAnyGlob(value, globs) {
+  return globs.some(glob => globToRegExp(glob).test(value));
+}
+
+// Raised when server policy forbids a tool call
+class PolicyError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'PolicyError';
+  }
+}
+
+const REPOSITORY_ACCESS_LEVELS = ['none', 'read', 'write'];
+
+function splitList(value) {
+  return (value || '').split(',').map(item => item.trim()).filter(Boolean);
+}
+
+// Tool policy: global read-only switch, tool allow/deny globs and
+// first-match-wins repository rules ({ match: 'owner/repo-glob', access })
+class ToolPolicy {
+  constructor({ readOnly = false, tools = {}, repositories = [], defaultAccess, confirmDestructive = false } = {}) {
+    this.readOnly = Boolean(readOnly);
+    this.confirmDestructive = Boolean(confirmDestructive);
+    this.allow = tools.allow || [];
+    this.deny = tools.deny || [];
+    this.repositories = repositories;
+    this.defaultAccess = defaultAccess || (repositories.length > 0 ? 'read' : 'write');
+
+    for (const rule of [...repositories, { match: '*/*', access: this.defaultAccess }]) {
+      if (!rule.match || !REPOSITORY_ACCESS_LEVELS.includes(rule.access)) {
+        throw new Error(`Invalid repository rule ${JSON.stringify(rule)}: needs "match" and "access" (${REPOSITORY_ACCESS_LEVELS.join(', ')})`);
+      }
+    }
+  }
+
+  // Build the policy from MCP_POLICY_FILE (JSON or YAML) plus environment overrides
+  static load() {
+    let config = {};
+    const file = process.env.MCP_POLICY_FILE;
+    if (file) {
+      const text = fs.readFileSync(file, 'utf-8');
+      config = ['.yaml', '.yml'].includes(path.extname(file).toLowerCase()) ? YAML.parse(text) : JSON.parse(text);
+      config = config || {};
+    }
+
+    return new ToolPolicy({
+      readOnly: process.env.MCP_READ_ONLY !== undefined ? process.env.MCP_READ_ONLY === 'true' : config.readOnly,
+      tools: {
+        allow: [...((config.tools && config.tools.allow) || []), ...splitList(process.env.MCP_TOOLS_ALLOW)],
+        deny: [...((config.tools && config.tools.deny) || []), ...splitList(process.env.MCP_TOOLS_DENY)]
+      },
+      repositories: config.repositories || [],
+      defaultAccess: config.defaultAccess,
+      confirmDestructive: process.env.MCP_CONFIRM_DESTRUCTIVE !== undefined
+        ? process.env.MCP_CONFIRM_DESTRUCTIVE === 'true'
+        : config.confirmDestructive
+    });
+  }
+
+  isWriteTool(tool) {
+    return !(tool.annotations && tool.annotations.readOnlyHint);
+  }
+
+  // Reason a tool is unavailable to everyone, or null when it is available
+  toolDenialReason(tool) {
+    if (this.readOnly && this.isWriteTool(tool)) {
+      return `${tool.name} modifies GitHub and the server is in read-only mode`;
+    }
+    if (this.allow.length > 0 && !matchesAnyGlob(tool.name, this.allow)) {
+      return `${tool.name} is not in the tool allow list`;
+    }
+    if (matchesAnyGlob(tool.name, this.deny)) {
+      return `${tool.name} is in the tool deny list`;
+    }
+    return null;
+  }
+
+  isToolVisible(tool) {
+    return this.toolDenialReason(tool) === null;
+  }
+
+  repositoryAccess(fullName) {
+    const rule = this.repositories.find(candidate => globToRegExp(candidate.match).test(fullName));
+    return rule ? rule.access : this.defaultAccess;
+  }
+
+  // Drop items from repositories with `none` access. Search, listing and
+  // completion results can span repositories, so checkCall cannot scope them
+  filterRepositories(items, fullNameOf) {
+    return items.filter(item => this.repositoryAccess(fullNameOf(item)) !== 'none');
+  }
+
+  checkRepositoryAccess(fullName, needed, actor) {
+    const access = this.repositoryAccess(fullName);
+    if (REPOSITORY_ACCESS_LEVELS.indexOf(access) < REPOSITORY_ACCESS_LEVELS.indexOf(needed)) {
+      throw new PolicyError(`${actor} needs ${needed} access to ${fullName}, but policy grants ${access}`);
+    }
+  }
+
+  // Throw a PolicyError unless this call is allowed for its target repository
+  checkCall(tool, args) {
+    const reason = this.toolDenialReason(tool);
+    if (reason) {
+      throw new PolicyError(reason);
+    }
+
+    if (tool.wrapsToolCall) {
+      return;
+    }
+
+    const needed = tool.repositoryAccess || (this.isWriteTool(tool) ? 'write' : 'read');
+    if (args.owner && args.repo) {
+      this.checkRepositoryAccess(`${args.owner}/${args.repo}`, needed, tool.name);
+    } else if (needed === 'write' && this.defaultAccess !== 'write') {
+      // Writes that cannot be tied to one repository follow the default access
+      throw new PolicyError(`${tool.name} cannot be scoped to a repository and policy only grants ${this.defaultAccess} access by default`);
+    }
+  }
+}
+
+let toolPolicy;
+try {
+  toolPolicy = ToolPolicy.load();
+} catch (error) {
+  console.error(`Error: invalid tool policy: ${error.message}`);
+  process.exit(1);
+}
+
+// A page of results without items from hidden repositories. GitHub's total
+// would still count them, so it is dropped once anything is removed
+function filterPageRepositories(page, fullNameOf) {
+  const items = toolPolicy.filterRepositories(page.items, fullNameOf);
+  if (items.length === page.items.length) {
+    return page;
+  }
+  const { totalCount, ...rest } = page;
+  return { ...rest, items };
+}
+
+// Audit log
+//
+// Every tool call is appended to one or more sinks. A sink is any object
+// with `write(entry)`; sinks that also implement `query(filter)` can serve
+// GET /admin/audit. The default sink is a JSONL file (MCP_AUDIT_LOG).
+
+const AUDIT_REDACTED_KEYS = /token|secret|password|private_key|authorization/i;
+const AUDIT_MAX_STRING = 200;
+
+// Copy tool arguments without credentials or bulky content
+function redactArguments(value, key = '') {
+  if (AUDIT_REDACTED_KEYS.test(key)) {
+    return '[REDACTED]';
+  }
+  if (typeof value === 'string') {
+    if (key === 'content' || key === 'content_base64') {
+      return `[${Buffer.byteLength(value)} bytes]`;
+    }
+    return value.length > AUDIT_MAX_STRING ? `${value.slice(0, AUDIT_MAX_STRING)}... [${value.length} chars]` : value;
+  }
+  if (Array.isArray(value)) {
+    return value.map(item => redactArguments(item));
+  }
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).map(([name, item]) => [name, redactArguments(item, name)]));
+  }
+  return value;
+}
+
+function matchesAuditFilter(entry, filter) {
+  if (filter.tool && !globToRegExp(filter.tool).test(entry.tool)) {
+    return false;
+  }
+  if (filter.repo && entry.repo !== filter.repo) {
+    return false;
+  }
+  if (filter.caller && entry.caller.subject !== filter.caller) {
+    return false;
+  }
+  if (filter.since && entry.timestamp < filter.since) {
+    return false;
+  }
+  if (filter.until && entry.timestamp > filter.until) {
+    return false;
+  }
+  return true;
+}
+
+class JsonlFileAuditSink {
+  constructor(filePath) {
+    this.filePath = filePath;
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    // Chain appends so entries land in the order they were recorded
+    this.pending = Promise.resolve();
+  }
+
+  write(entry) {
+    const line = `${JSON.stringify(entry)}\n`;
+    this.pending = this.pending
+      .then(() => fs.promises.appendFile(this.filePath, line, { mode: 0o600 }))
+      .catch(error => console.error('Audit log write failed:', error.message));
+    return this.pending;
+  }
+
+  // Newest matching entries first. The file is streamed, keeping only the
+  // last `limit` matches; lines that do not parse (e.g. a write cut short
+  // by a crash) are skipped.
+  async query(filter, limit) {
+    await this.pending;
+    const stream = fs.createReadStream(this.filePath, { encoding: 'utf8' });
+    const entries = [];
+    try {
+      for await (const line of readline.createInterface({ input: stream, crlfDelay: Infinity })) {
+        let entry;
+        try {
+          entry = JSON.parse(line);
+        } catch (error) {
+          continue;
+        }
+        if (entry && matchesAuditFilter(entry, filter)) {
+          entries.push(entry);
+          if (entries.length > limit) {
+            entries.shift();
+          }
+        }
+      }
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return [];
+      }
+      throw error;
+    }
+    return entries.reverse();
+  }
+}
+
+class AuditLog {
+  constructor(sinks = []) {
+    this.sinks = sinks;
+  }
+
+  addSink(sink) {
+    this.sinks.push(sink);
+  }
+
+  record(entry) {
+    for (const sink of this.sinks) {
+      Promise.resolve()
+        .then(() => sink.write(entry))
+        .catch(error => console.error('Audit log write failed:', error.message));
+    }
+  }
+
+  get queryable() {
+    return this.sinks.some(sink => typeof sink.query === 'function');
+  }
+
+  async query(filter = {}, limit = 100) {
+    const sink = this.sinks.find(candidate => typeof candidate.query === 'function');
+    return sink ? await sink.query(filter, limit) : [];
+  }
+}
+
+function loadAuditLog() {
+  const target = process.env.MCP_AUDIT_LOG || 'logs/audit.jsonl';
+  if (target === 'off') {
+    return new AuditLog();
+  }
+  return new AuditLog([new JsonlFileAuditSink(path.resolve(target))]);
+}
+
+const auditLog = loadAuditLog();
+
+function recordToolCall(context, call, startedAt) {
+  const { name, github } = call;
+  const args = call.args && typeof call.args === 'object' ? call.args : {};
+  const requests = github ? github.requestLog : [];
+  // The last URL and SHA reported by a write are the call's result
+  const latest = field => ([...requests].reverse().find(request => request[field]) || {})[field] || null;
+
+  auditLog.record({
+    timestamp: new Date(startedAt).toISOString(),
+    sessionId: context.session ? context.session.id : null,
+    caller: context.auth
+      ? { type: context.auth.type, subject: context.auth.subject }
+      : { type: ANONYMOUS_CALLER.type, subject: ANONYMOUS_CALLER.subject },
+    tool: name,
+    repo: args.owner && args.repo ? `${args.owner}/${args.repo}` : null,
+    arguments: redactArguments(call.args),
+    github: requests,
+    status: call.status,
+    error: call.error,
+    latencyMs: Date.now() - startedAt,
+    url: latest('url'),
+    sha: latest('sha')
+  });
+}
+
+// Destructive tool calls held until confirmed: token -> pending action
+const pendingActions = new Map();
+const PENDING_ACTION_TTL = 10 * 60 * 1000; // 10 minutes
+const ELICITATION_TIMEOUT = 5 * 60 * 1000; // 5 minutes
+
+function requiresConfirmation(tool, context) {
+  return toolPolicy.confirmDestructive && !context.confirmed && !tool.confirmed &&
+    Boolean(tool.annotations && tool.annotations.destructiveHint);
+}
+
+async function previewToolCall(tool, args, context) {
+  if (tool.preview) {
+    return await tool.preview(args, context);
+  }
+  return `Call ${tool.name} with arguments ${JSON.stringify(args)}.`;
+}
+
+function callerKey(context) {
+  return context.auth ? `${context.auth.type}:${context.auth.subject}` : 'anonymous';
+}
+
+function createPendingAction(tool, args, context, preview) {
+  const now = Date.now();
+  for (const [token, action] of pendingActions) {
+    if (action.expiresAt < now) {
+      pendingActions.delete(token);
+    }
+  }
+
+  const token = uuidv4();
+  pendingActions.set(token, {
+    toolName: tool.name,
+    args,
+    caller: callerKey(context),
+    expiresAt: now + PENDING_ACTION_TTL
+  });
+
+  return [
+    'Confirmation required: this action was NOT performed yet.',
+    '',
+    preview,
+    '',
+    `Show this preview to the user. If they approve, call github_confirm_action with token "${token}".`,
+    `The token expires at ${new Date(now + PENDING_ACTION_TTL).toISOString()}.`
+  ].join('\n');
+}
+
+// Remove and return a pending action, checking expiry and ownership
+function takePendingAction(token, context) {
+  const action = pendingActions.get(token);
+  if (!action || action.expiresAt < Date.now() || action.caller !== callerKey(context)) {
+    throw new Error('Unknown or expired confirmation token. Call the original tool again to get a new one.');
+  }
+  pendingActions.delete(token);
+  return action;
+}
+
+// Ask the user through MCP elicitation; resolves true only on explicit approval
+async function elicitConfirmation(context, preview) {
+  const result = await sendSessionRequest(context.session, 'elicitation/create', {
+    message: `${preview}\n\nDo you want to proceed?`,
+    requestedSchema: {
+      type: 'object',
+      properties: {
+        confirm: { type: 'boolean', title: 'Proceed', description: 'Approve this change' }
+      },
+      required: ['confirm']
+    }
+  }, { stream: context.responseStream, timeout: ELICITATION_TIMEOUT });
+
+  return result.action === 'accept' && Boolean(result.content && result.content.confirm);
+}
+
+// Public (MCP) view of a tool definition
+function describeTool(tool) {
+  return {
+    name: tool.name,
+    description: tool.description,
+    inputSchema: tool.inputSchema,
+    annotations: tool.annotations
+  };
+}
+
+function isToolEnabled(tool) {
+  return (!tool.enabled || tool.enabled()) && toolPolicy.isToolVisible(tool);
+}
+
+function listTools() {
+  return TOOLS.filter(isToolEnabled).map(describeTool);
+}
+
+// Run a tool from the registry and wrap its output as an MCP tool result
+async function callTool(name, args = {}, context = {}) {
+  // Audited from the start, so unknown tools and invalid arguments are logged too
+  const startedAt = Date.now();
+  const call = { name, args, github: null, status: 'success' };
+
+  try {
+    const tool = toolsByName.get(name);
+    if (!tool || (tool.enabled && !tool.enabled())) {
+      throw new JsonRpcError(-32602, `Unknown tool: ${name}`);
+    }
+    const validatedArgs = validateToolArguments(tool, args);
+    call.args = validatedArgs;
+
+    toolPolicy.checkCall(tool, validatedArgs);
+    if (!context.credentials) {
+      throw new Error('No GitHub credentials for this caller. Send a token in the X-GitHub-Token header, or ask the operator to map your API key to a token.');
+    }
+    const github = new GitHubAPIClient(context.credentials.forOwner(validatedArgs.owner));
+    const toolContext = { ...context, github };
+    call.github = github;
+
+    if (requiresConfirmation(tool, context)) {
+      const preview = await previewToolCall(tool, validatedArgs, toolContext);
+      if (!canElicit(context)) {
+        call.status = 'pending_confirmation';
+        return textResult(createPendingAction(tool, validatedArgs, context, preview));
+      }
+      if (!await elicitConfirmation(context, preview)) {
+        call.status = 'cancelled';
+        return textResult(`Cancelled: the user did not approve this action, so nothing was changed.\n\n${preview}`);
+      }
+    }
+
+    // Handlers return result text, or a complete tool result
+    const output = await tool.handler(validatedArgs, toolContext);
+    if (output.isError) {
+      call.status = 'error';
+    }
+    return typeof output === 'string' ? textResult(output) : output;
+  } catch (error) {
+    if (error instanceof PolicyError) {
+      call.status = 'denied';
+    } else {
+      call.status = error instanceof JsonRpcError ? 'invalid' : 'error';
+    }
+    call.error = error.message;
+    // Protocol problems stay JSON-RPC errors; everything else is a tool
+    // execution failure the model can see and react to
+    if (error instanceof JsonRpcError) {
+      throw error;
+    }
+    return toolErrorResult(error);
+  } finally {
+    recordToolCall(context, call, startedAt);
+  }
+}
+
+function textResult(text) {
+  return {
+    content: [
+      {
+        type: 'text',
+        text
+      }
+    ]
+  };
+}
+
+function toolErrorResult(error) {
+  return {
+    content: [
+      {
+        type: 'text',
+        text: error instanceof GitHubAPIError
+          ? error.describe()
+          : `${error instanceof PolicyError ? 'Policy denied' : 'Error'}: ${error.message}`
+      }
+    ],
+    // Machine-readable details, e.g. the resource and reset time of a rate limit
+    ...(error.data && { structuredContent: error.data }),
+    isError: true
+  };
+}
+
+// MCP resources
+//
+// Repository content addressed by github:// URIs. Each template has a
+// pattern with named groups for its parameters and a reader returning the
+// resource contents (text, or base64 `blob` for binary files).
+
+const MIME_TYPES = {
+  '.md': 'text/markdown', '.markdown': 'text/markdown', '.txt': 'text/plain', '.csv': 'text/csv',
+  '.html': 'text/html', '.htm': 'text/html', '.css': 'text/css', '.xml': 'application/xml',
+  '.json': 'application/json', '.yaml': 'application/yaml', '.yml': 'application/yaml', '.toml': 'application/toml',
+  '.js': 'text/javascript', '.mjs': 'text/javascript', '.cjs': 'text/javascript', '.jsx': 'text/javascript',
+  '.ts': 'text/x-typescript', '.tsx': 'text/x-typescript', '.py': 'text/x-python', '.rb': 'text/x-ruby',
+  '.go': 'text/x-go', '.rs': 'text/x-rust', '.java': 'text/x-java', '.kt': 'text/x-kotlin',
+  '.c': 'text/x-c', '.h': 'text/x-c', '.cpp': 'text/x-c++', '.hpp': 'text/x-c++', '.cs': 'text/x-csharp',
+  '.php': 'text/x-php', '.sh': 'text/x-shellscript', '.sql': 'application/sql', '.svg': 'image/svg+xml',
+  '.png': 'image/png', '.jpg': 'image/jpeg', '.jpeg': 'image/jpeg', '.gif': 'image/gif', '.webp': 'image/webp',
+  '.ico': 'image/vnd.microsoft.icon', '.pdf': 'application/pdf', '.zip': 'application/zip',
+  '.gz': 'application/gzip', '.wasm': 'application/wasm'
+};
+
+function mimeTypeFor(filePath, binary) {
+  return MIME_TYPES[path.extname(filePath).toLowerCase()] || (binary ? 'application/octet-stream' : 'text/plain');
+}
+
+function formatIssueMarkdown(issue, comments) {
+  const lines = [
+    `# #${issue.number}: ${issue.title}`,
+    '',
+    `- State: ${issue.state}${issue.state_reason ? ` (${issue.state_reason})` : ''}`,
+    `- Author: ${issue.user.login}`,
+    `- Labels: ${(issue.labels || []).map(label => label.name).join(', ') || 'none'}`,
+    `- Assignees: ${(issue.assignees || []).map(user => user.login).join(', ') || 'none'}`,
+    `- Created: ${issue.created_at}`,
+    `- URL: ${issue.html_url}`,
+    '',
+    issue.body || '_No description._'
+  ];
+  if (comments.items.length > 0) {
+    lines.push('', `## Comments (${issue.comments})`);
+    for (const comment of comments.items) {
+      lines.push('', `### ${comment.user.login} at ${comment.created_at}`, '', comment.body);
+    }
+    if (comments.hasMore) {
+      lines.push('', `_${issue.comments - comments.items.length} more comments not shown._`);
+    }
+  }
+  return lines.join('\n');
+}
+
+const RESOURCE_TEMPLATES = [
+  {
+    uriTemplate: 'github://{owner}/{repo}',
+    name: 'repository',
+    title: 'GitHub repository',
+    description: 'Repository metadata',
+    mimeType: 'application/json',
+    pattern: /^github:\/\/(?<owner>[^/]+)\/(?<repo>[^/]+)\/?$/,
+    read: async ({ owner, repo }, github, uri) => {
+      const repository = await github.getRepository(owner, repo);
+      const summary = {
+        full_name: repository.full_name,
+        description: repository.description,
+        default_branch: repository.default_branch,
+        private: repository.private,
+        language: repository.language,
+        topics: repository.topics,
+        stars: repository.stargazers_count,
+        forks: repository.forks_count,
+        open_issues: repository.open_issues_count,
+        pushed_at: repository.pushed_at,
+        html_url: repository.html_url
+      };
+      return [{ uri, mimeType: 'application/json', text: JSON.stringify(summary, null, 2) }];
+    }
+  },
+  {
+    uriTemplate: 'github://{owner}/{repo}/blob/{ref}/{path}',
+    name: 'file',
+    title: 'Repository file',
+    description: 'A file at a branch, tag or commit. Encode "/" in ref as %2F.',
+    pattern: /^github:\/\/(?<owner>[^/]+)\/(?<repo>[^/]+)\/blob\/(?<ref>[^/]+)\/(?<path>.+)$/,
+    read: async ({ owner, repo, ref, path: filePath }, github, uri) => {
+      const fileData = await github.getFileContent(owner, repo, filePath, ref);
+      if (Array.isArray(fileData)) {
+        return [{ uri, mimeType: 'text/plain', text: formatDirectoryEntries(fileData) }];
+      }
+      if (fileData.type !== 'file') {
+        throw new GitHubNotFoundError(404, { message: `${filePath} is a ${fileData.type}, not a file` });
+      }
+      const base64 = fileData.encoding === 'base64' && fileData.content
+        ? fileData.content
+        : (await github.getBlob(owner, repo, fileData.sha)).content;
+      const buffer = Buffer.from(base64 || '', 'base64');
+      const decoded = decodeFileContent(buffer);
+      const mimeType = mimeTypeFor(filePath, decoded.binary);
+      return decoded.binary
+        ? [{ uri, mimeType, blob: buffer.toString('base64') }]
+        : [{ uri, mimeType, text: decoded.text }];
+    }
+  },
+  {
+    uriTemplate: 'github://{owner}/{repo}/branches/{branch}',
+    name: 'branch',
+    title: 'Branch',
+    description: 'A branch and its head commit. Encode "/" in branch names as %2F.',
+    mimeType: 'application/json',
+    pattern: /^github:\/\/(?<owner>[^/]+)\/(?<repo>[^/]+)\/branches\/(?<branch>[^/]+)$/,
+    read: async ({ owner, repo, branch }, github, uri) => {
+      const branchData = await github.getBranch(owner, repo, branch);
+      const summary = {
+        name: branchData.name,
+        protected: branchData.protected,
+        sha: branchData.commit.sha,
+        message: branchData.commit.commit.message,
+        author: branchData.commit.commit.author && branchData.commit.commit.author.name,
+        date: branchData.commit.commit.author && branchData.commit.commit.author.date,
+        html_url: branchData._links && branchData._links.html
+      };
+      return [{ uri, mimeType: 'application/json', text: JSON.stringify(summary, null, 2) }];
+    }
+  },
+  {
+    uriTemplate: 'github://{owner}/{repo}/issues/{number}',
+    name: 'issue',
+    title: 'Issue',
+    description: 'An issue with its comments',
+    mimeType: 'text/markdown',
+    pattern: /^github:\/\/(?<owner>[^/]+)\/(?<repo>[^/]+)\/issues\/(?<number>\d+)$/,
+    read: async ({ owner, repo, number }, github, uri) => {
+      const issue = await github.getIssue(owner, repo, number);
+      const comments = await github.listIssueComments(owner, repo, number, { per_page: 100 });
+      return [{ uri, mimeType: 'text/markdown', text: formatIssueMarkdown(issue, comments) }];
+    }
+  },
+  {
+    uriTemplate: 'github://{owner}/{repo}/pulls/{number}',
+    name: 'pull_request',
+    title: 'Pull request',
+    description: 'A pull request with its branches, status and changed files',
+    mimeType: 'text/markdown',
+    pattern: /^github:\/\/(?<owner>[^/]+)\/(?<repo>[^/]+)\/pulls\/(?<number>\d+)$/,
+    read: async ({ owner, repo, number }, github, uri) => {
+      const pullRequest = await github.getPullRequest(owner, repo, number);
+      const files = await github.listPullRequestFiles(owner, repo, number, { per_page: 100 });
+      const fileList = files.items.map(file => `- ${file.filename} (${file.status}, +${file.additions} -${file.deletions})`);
+      if (files.hasMore) {
+        fileList.push(`- ... and ${pullRequest.changed_files - files.items.length} more`);
+      }
+      return [{ uri, mimeType: 'text/markdown', text: `${formatPullRequest(pullRequest)}\n\n## Changed files\n\n${fileList.join('\n')}` }];
+    }
+  }
+];
+
+function matchResourceUri(uri) {
+  for (const template of RESOURCE_TEMPLATES) {
+    const match = template.pattern.exec(uri);
+    if (match) {
+      const params = {};
+      for (const [name, value] of Object.entries(match.groups)) {
+        params[name] = decodeURIComponent(value);
+      }
+      return { template, params };
+    }
+  }
+  return null;
+}
+
+// Canonical form of a resource for matching subscriptions against webhook
+// events (GitHub owner and repository names are case-insensitive)
+function resourceKey(name, params) {
+  const parts = [`${params.owner}/${params.repo}`.toLowerCase()];
+  for (const field of ['ref', 'path', 'branch', 'number']) {
+    if (params[field] !== undefined) {
+      parts.push(String(params[field]));
+    }
+  }
+  return `${name}:${parts.join('/')}`;
+}
+
+function listResourceTemplates() {
+  return RESOURCE_TEMPLATES.map(({ uriTemplate, name, title, description, mimeType }) => ({
+    uriTemplate, name, title, description, ...(mimeType && { mimeType })
+  }));
+}
+
+function resourceGitHubClient(context, owner) {
+  if (!context.credentials) {
+    throw new JsonRpcError(-32603, 'No GitHub credentials for this caller');
+  }
+  return new GitHubAPIClient(context.credentials.forOwner(owner));
+}
+
+// Turn GitHub and policy failures into JSON-RPC errors for resource methods
+function resourceError(error, uri) {
+  if (error instanceof JsonRpcError) {
+    return error;
+  }
+  if (error instanceof GitHubNotFoundError) {
+    return new JsonRpcError(-32002, `Resource not found: ${uri}`, { uri });
+  }
+  if (error instanceof PolicyError) {
+    return new JsonRpcError(-32603, `Policy denied: ${error.message}`, { uri });
+  }
+  if (error instanceof GitHubAPIError) {
+    return new JsonRpcError(-32603, error.describe(), { uri, type: error.type, status: error.status });
+  }
+  return new JsonRpcError(-32603, error.message, { uri });
+}
+
+// The caller's repositories, as resources
+async function listResources(cursor, context) {
+  const github = resourceGitHubClient(context);
+  const repositories = await github.listRepositories('updated', { cursor, per_page: 50 });
+  const resources = toolPolicy.filterRepositories(repositories.items, repository => repository.full_name)
+    .map(repository => ({
+      uri: `github://${repository.full_name}`,
+      name: repository.full_name,
+      title: repository.full_name,
+      description: repository.description || undefined,
+      mimeType: 'application/json'
+    }));
+  return { resources, ...(repositories.hasMore && { nextCursor: repositories.nextCursor }) };
+}
+
+// Subscriptions live on the session; webhook deliveries are matched
+// against them in notifyResourceUpdates()
+async function subscribeResource(uri, context) {
+  const { session } = context;
+  if (!session) {
+    throw new JsonRpcError(-32600, 'resources/subscribe needs a session; connect through /mcp or /sse');
+  }
+  const matched = typeof uri === 'string' && matchResourceUri(uri);
+  if (!matched) {
+    throw new JsonRpcError(-32602, `Unsupported resource URI: ${uri}. Use one of the resource templates.`);
+  }
+  const { owner, repo } = matched.params;
+  try {
+    toolPolicy.checkRepositoryAccess(`${owner}/${repo}`, 'read', 'Subscribing to this resource');
+    // Webhook deliveries are not filtered per caller, so make sure this
+    // caller's own credentials can see the repository
+    await resourceGitHubClient(context, owner).getRepository(owner, repo);
+  } catch (error) {
+    throw resourceError(error, uri);
+  }
+
+  session.subscriptions = session.subscriptions || new Map();
+  session.subscriptions.set(resourceKey(matched.template.name, matched.params), uri);
+  return {};
+}
+
+function unsubscribeResource(uri, context) {
+  const { session } = context;
+  const matched = typeof uri === 'string' && matchResourceUri(uri);
+  if (session && session.subscriptions && matched) {
+    session.subscriptions.delete(resourceKey(matched.template.name, matched.params));
+  }
+  return {};
+}
+
+// Send notifications/resources/updated to every session subscribed to one
+// of the given resource keys; returns the number of notifications sent
+function notifyResourceUpdates(keys) {
+  let sent = 0;
+  for (const session of sessions.values()) {
+    if (!session.subscriptions) {
+      continue;
+    }
+    for (const key of keys) {
+      const uri = session.subscriptions.get(key);
+      if (uri) {
+        sendToSession(session, { jsonrpc: '2.0', method: 'notifications/resources/updated', params: { uri } });
+        sent++;
+      }
+    }
+  }
+  return sent;
+}
+
+async function readResource(uri, context) {
+  const matched = typeof uri === 'string' && matchResourceUri(uri);
+  if (!matched) {
+    throw new JsonRpcError(-32602, `Unsupported resource URI: ${uri}. Use one of the resource templates.`);
+  }
+
+  const { template, params } = matched;
+  try {
+    toolPolicy.checkRepositoryAccess(`${params.owner}/${params.repo}`, 'read', 'Reading this resource');
+    const github = resourceGitHubClient(context, params.owner);
+    return { contents: await template.read(params, github, uri) };
+  } catch (error) {
+    throw resourceError(error, uri);
+  }
+}
+
+// MCP prompts
+//
+// Templated prompts that pull live data from GitHub. Each argument names
+// the kind of value it takes (`complete`) so completion/complete can suggest
+// owners, repositories, branches, pull request numbers and tags.
+
+const PROMPT_DIFF_BUDGET = 60000; // characters of patches included in review prompts
+
+// A sentence pointing the model at tools, naming only those the policy
+// lets callers run (empty when there are none)
+function suggestTools(names, purpose) {
+  const available = names.filter(name => toolsByName.has(name) && isToolEnabled(toolsByName.get(name)));
+  return available.length > 0 ? ` Use ${available.join(' or ')} to ${purpose}.` : '';
+}
+
+const REPO_PROMPT_ARGUMENTS = [
+  { name: 'owner', description: 'Repository owner', required: true, complete: 'owner' },
+  { name: 'repo', description: 'Repository name', required: true, complete: 'repo' }
+];
+
+const PROMPTS = [
+  {
+    name: 'review_pull_request',
+    title: 'Review a pull request',
+    description: 'Review a pull request using its description, changed files and diff',
+    arguments: [
+      ...REPO_PROMPT_ARGUMENTS,
+      { name: 'pull_number', description: 'Pull request number', required: true, complete: 'pull_number' },
+      { name: 'focus', description: 'Optional area to focus on, e.g. security or performance' }
+    ],
+    get: async (args, github) => {
+      const pullRequest = await github.getPullRequest(args.owner, args.repo, args.pull_number);
+      const files = await github.listPullRequestFiles(args.owner, args.repo, args.pull_number, { max_items: 300 });
+
+      let budget = PROMPT_DIFF_BUDGET;
+      const patches = [];
+      const skipped = [];
+      for (const file of files.items) {
+        const patch = file.patch || '';
+        if (!patch || patch.length > budget) {
+          skipped.push(file.filename);
+          continue;
+        }
+        budget -= patch.length;
+        patches.push(`### ${file.filename} (${file.status}, +${file.additions} -${file.deletions})\n\`\`\`diff\n${patch}\n\`\`\``);
+      }
+
+      return [
+        `Please review pull request #${pullRequest.number} in ${args.owner}/${args.repo}.`,
+        'Look for bugs, missing tests, unclear code and risky changes. For each finding, name the file and line and suggest a fix.',
+        'Finish with an overall recommendation: approve, request changes or comment.',
+        ...(args.focus ? [`Pay particular attention to: ${args.focus}.`] : []),
+        '',
+        '## Pull request',
+        '',
+        formatPullRequest(pullRequest),
+        '',
+        '## Changes',
+        '',
+        ...patches,
+        ...(skipped.length > 0
+          ? ['', `Not included (binary, too large or over the prompt budget): ${skipped.join(', ')}.${suggestTools(['github_get_file_content', 'github_get_pull_request_diff'], 'inspect them')}`]
+          : [])
+      ].join('\n');
+    }
+  },
+  {
+    name: 'triage_issues',
+    title: 'Triage open issues',
+    description: 'Categorize and prioritize the open issues of a repository',
+    arguments: [
+      ...REPO_PROMPT_ARGUMENTS,
+      { name: 'limit', description: 'How many of the most recent open issues to include (default 30)' }
+    ],
+    get: async (args, github) => {
+      const limit = Math.min(Math.max(parseInt(args.limit, 10) || 30, 1), 100);
+      const issues = await github.listIssues(args.owner, args.repo, 'open', { per_page: limit });
+      const issueList = issues.items
+        .filter(issue => !issue.pull_request)
+        .map(issue => {
+          const labels = (issue.labels || []).map(label => label.name).join(', ') || 'none';
+          const body = (issue.body || '').replace(/\s+/g, ' ').slice(0, 300);
+          return `- #${issue.number}: ${issue.title}\n  Labels: ${labels}; comments: ${issue.comments}; opened ${issue.created_at} by ${issue.user.login}` +
+            (body ? `\n  ${body}` : '');
+        });
+
+      return [
+        `Please triage the open issues in ${args.owner}/${args.repo}.`,
+        'Group them by type (bug, feature request, question, documentation, other), flag likely duplicates,',
+        'suggest labels and a priority (high, medium, low) for each, and point out issues that need more information from the reporter.',
+        '',
+        `## Open issues (${issueList.length} most recent)`,
+        '',
+        issueList.join('\n') || 'No open issues.'
+      ].join('\n');
+    }
+  },
+  {
+    name: 'release_notes',
+    title: 'Write release notes',
+    description: 'Draft release notes for the changes since a tag',
+    arguments: [
+      ...REPO_PROMPT_ARGUMENTS,
+      { name: 'since_tag', description: 'Tag of the previous release', required: true, complete: 'tag' },
+      { name: 'head', description: 'Branch or commit to release (defaults to the default branch)', complete: 'branch' }
+    ],
+    get: async (args, github) => {
+      const head = args.head || (await github.getRepository(args.owner, args.repo)).default_branch;
+      const comparison = await github.compareCommits(args.owner, args.repo, args.since_tag, head);
+      const commits = comparison.commits.map(commit =>
+        `- ${commit.sha.slice(0, 7)} ${commit.commit.message.split('\n')[0]} (${commit.author ? commit.author.login : commit.commit.author.name})`
+      );
+
+      return [
+        `Please write release notes for ${args.owner}/${args.repo} covering the changes from ${args.since_tag} to ${head}.`,
+        'Group the changes into Features, Fixes, and Other, leave out merge commits and purely internal changes,',
+        'call out breaking changes first, and credit contributors. Use Markdown.',
+        '',
+        `## Commits (${comparison.total_commits}${comparison.total_commits > commits.length ? `, first ${commits.length} shown` : ''})`,
+        '',
+        commits.join('\n') || 'No commits since the tag.'
+      ].join('\n');
+    }
+  },
+  {
+    name: 'summarize_commits',
+    title: 'Summarize recent commits',
+    description: 'Summarize the recent commits on a branch',
+    arguments: [
+      ...REPO_PROMPT_ARGUMENTS,
+      { name: 'branch', description: 'Branch (defaults to the default branch)', complete: 'branch' },
+      { name: 'days', description: 'How many days back to look (default 7)' }
+    ],
+    get: async (args, github) => {
+      const days = Math.max(parseInt(args.days, 10) || 7, 1);
+      const since = new Date(Date.now() - days * 24 * 60 * 60 * 1000).toISOString();
+      const commits = await github.listCommits(args.owner, args.repo, args.branch || null, { max_items: 200 }, { since });
+      const commitList = commits.items.map(commit =>
+        `- ${commit.sha.slice(0, 7)} ${commit.commit.author.date} ${commit.author ? commit.author.login : commit.commit.author.name}: ${commit.commit.message.split('\n')[0]}`
+      );
+
+      return [
+        `Please summarize the last ${days} days of commits on ${args.branch || 'the default branch'} of ${args.owner}/${args.repo}.`,
+        'Describe the main themes of the work, notable fixes or features, and who worked on what, in a few short paragraphs.',
+        '',
+        `## Commits since ${since} (${commitList.length}${commits.hasMore ? '+' : ''})`,
+        '',
+        commitList.join('\n') || 'No commits in this period.'
+      ].join('\n');
+    }
+  }
+];
+
+const promptsByName = new Map(PROMPTS.map(prompt => [prompt.name, prompt]));
+
+function listPrompts() {
+  return PROMPTS.map(({ name, title, description, arguments: promptArguments }) => ({
+    name,
+    title,
+    description,
+    arguments: promptArguments.map(({ name: argumentName, description: argumentDescription, required }) => ({
+      name: argumentName,
+      description: argumentDescription,
+      required: Boolean(required)
+    }))
+  }));
+}
+
+async function getPrompt(name, args = {}, context = {}) {
+  const prompt = promptsByName.get(name);
+  if (!prompt) {
+    throw new JsonRpcError(-32602, `Unknown prompt: ${name}`);
+  }
+  const missing = prompt.arguments.filter(argument => argument.required && !args[argument.name]);
+  if (missing.length > 0) {
+    throw new JsonRpcError(-32602, `Missing required arguments for ${name}: ${missing.map(argument => argument.name).join(', ')}`);
+  }
+
+  try {
+    toolPolicy.checkRepositoryAccess(`${args.owner}/${args.repo}`, 'read', `The ${name} prompt`);
+    const github = resourceGitHubClient(context, args.owner);
+    const text = await prompt.get(args, github);
+    return {
+      description: prompt.description,
+      messages: [{ role: 'user', content: { type: 'text', text } }]
+    };
+  } catch (error) {
+    if (error instanceof JsonRpcError) {
+      throw error;
+    }
+    // Arguments pointing at something that does not exist are invalid params
+    const code = error instanceof GitHubNotFoundError ? -32602 : -32603;
+    const message = error instanceof GitHubAPIError
+      ? error.describe()
+      : `${error instanceof PolicyError ? 'Policy denied' : 'Error'}: ${error.message}`;
+    throw new JsonRpcError(code, message);
+  }
+}
+
+// Completion
+//
+// Suggestions for prompt arguments and resource template parameters. They
+// are best effort: any failure yields an empty list.
+
+const MAX_COMPLETION_VALUES = 100;
+const COMPLETION_REPOSITORY_LIMIT = 300; // repositories fetched to complete owners and names
+
+// Candidate values for one kind of argument, given the arguments known so far
+async function completionCandidates(kind, known, github) {
+  switch (kind) {
+    case 'owner': {
+      // Installation tokens cannot read /user; offer the owners of the
+      // repositories the installation can access instead
+      if (github.credentials instanceof GitHubAppCredentials) {
+        const repositories = await github.listRepositories('updated', { max_items: COMPLETION_REPOSITORY_LIMIT });
+        return repositories.items.map(repository => repository.owner.login);
+      }
+      const [user, organizations] = await Promise.all([github.getAuthenticatedUser(), github.listUserOrganizations()]);
+      return [user.login, ...organizations.map(organization => organization.login)];
+    }
+    case 'repo': {
+      // The caller's own listing, unlike /users/{owner}/repos, includes
+      // private and organization repositories
+      const repositories = await github.listRepositories('updated', { max_items: COMPLETION_REPOSITORY_LIMIT });
+      return toolPolicy.filterRepositories(repositories.items, repository => repository.full_name)
+        .filter(repository => !known.owner || repository.owner.login.toLowerCase() === String(known.owner).toLowerCase())
+        .map(repository => repository.name);
+    }
+    case 'branch': {
+      const branches = await github.listBranches(known.owner, known.repo, { per_page: 100 });
+      return branches.items.map(branch => branch.name);
+    }
+    case 'tag': {
+      const tags = await github.listTags(known.owner, known.repo, { per_page: 100 });
+      return tags.items.map(tag => tag.name);
+    }
+    case 'pull_number': {
+      const pullRequests = await github.listPullRequests(known.owner, known.repo, 'open', { per_page: 100 });
+      return pullRequests.items.map(pullRequest => String(pullRequest.number));
+    }
+    case 'issue_number': {
+      const issues = await github.listIssues(known.owner, known.repo, 'open', { per_page: 100 });
+      return issues.items.filter(issue => !issue.pull_request).map(issue => String(issue.number));
+    }
+    default:
+      return [];
+  }
+}
+
+// Kind of value a resource template parameter takes
+function resourceParameterKind(template, parameter) {
+  if (parameter === 'number') {
+    return template.name === 'pull_request' ? 'pull_number' : 'issue_number';
+  }
+  return { owner: 'owner', repo: 'repo', branch: 'branch', ref: 'branch' }[parameter] || null;
+}
+
+async function completeArgument(params = {}, context = {}) {
+  const { ref = {}, argument = {} } = params;
+  const value = String(argument.value || '');
+  const known = (params.context && params.context.arguments) || {};
+
+  let kind = null;
+  if (ref.type === 'ref/prompt') {
+    const prompt = promptsByName.get(ref.name);
+    const promptArgument = prompt && prompt.arguments.find(candidate => candidate.name === argument.name);
+    kind = promptArgument ? promptArgument.complete : null;
+  } else if (ref.type === 'ref/resource') {
+    const template = RESOURCE_TEMPLATES.find(candidate => candidate.uriTemplate === ref.uri);
+    kind = template ? resourceParameterKind(template, argument.name) : null;
+  }
+
+  const empty = { completion: { values: [], total: 0, hasMore: false } };
+  const needsRepository = ['branch', 'tag', 'pull_number', 'issue_number'].includes(kind);
+  if (!kind || !context.credentials || (needsRepository && !(known.owner && known.repo))) {
+    return empty;
+  }
+  if (needsRepository && toolPolicy.repositoryAccess(`${known.owner}/${known.repo}`) === 'none') {
+    return empty;
+  }
+
+  try {
+    const github = new GitHubAPIClient(context.credentials.forOwner(known.owner));
+    const candidates = await completionCandidates(kind, known, github);
+    const matches = [...new Set(candidates)].filter(candidate => candidate.toLowerCase().startsWith(value.toLowerCase()));
+    return {
+      completion: {
+        values: matches.slice(0, MAX_COMPLETION_VALUES),
+        total: matches.length,
+        hasMore: matches.length > MAX_COMPLETION_VALUES
+      }
+    };
+  } catch (error) {
+    return empty;
+  }
+}
+
+// Inbound authentication
+//
+// Each authenticator inspects a bearer token and returns the caller identity
+// ({ type, subject, scopes }) or null when the token is not one of its kind.
+// Authenticators are enabled by configuration; with none configured the MCP
+// endpoints are open.
+
+function safeEqual(a, b) {
+  const digestA = crypto.createHash('sha256').update(String(a)).digest();
+  const digestB = crypto.createHash('sha256').update(String(b)).digest();
+  return crypto.timingSafeEqual(digestA, digestB);
+}
+
+function parseScopes(value) {
+  if (Array.isArray(value)) {
+    return value.map(String);
+  }
+  return typeof value === 'string' ? value.split(' ').filter(Boolean) : [];
+}
+
+// Raised when a presented credential is rejected (answered with 401/403)
+class AuthenticationError extends Error {
+  constructor(message, { status = 401, code = 'invalid_token' } = {}) {
+    super(message);
+    this.name = 'AuthenticationError';
+    this.status = status;
+    this.code = code;
+  }
+}
+
+// Static API keys: MCP_API_KEYS="name:key,other:key2" (name is optional)
+class ApiKeyAuthenticator {
+  constructor(spec) {
+    this.keys = spec.split(',').map(entry => entry.trim()).filter(Boolean).map((entry, index) => {
+      const separator = entry.indexOf(':');
+      return separator > 0
+        ? { name: entry.slice(0, separator), key: entry.slice(separator + 1) }
+        : { name: `key-${index + 1}`, key: entry };
+    });
+  }
+
+  async authenticate(token) {
+    const match = this.keys.find(({ key }) => safeEqual(key, token));
+    return match ? { type: 'api_key', subject: match.name, scopes: [] } : null;
+  }
+}
+
+// HMAC-signed tokens: "v1.<base64url JSON payload>.<base64url HMAC-SHA256>"
+// where the payload holds { sub, exp, scope }
+class HmacTokenAuthenticator {
+  constructor(secret) {
+    this.secret = secret;
+  }
+
+  sign(payload) {
+    const encoded = Buffer.from(JSON.stringify(payload)).toString('base64url');
+    const signature = crypto.createHmac('sha256', this.secret).update(`v1.${encoded}`).digest('base64url');
+    return `v1.${encoded}.${signature}`;
+  }
+
+  async authenticate(token) {
+    const parts = token.split('.');
+    if (parts.length !== 3 || parts[0] !== 'v1') {
+      return null;
+    }
+
+    const expected = crypto.createHmac('sha256', this.secret).update(`v1.${parts[1]}`).digest('base64url');
+    if (!safeEqual(expected, parts[2])) {
+      throw new AuthenticationError('Invalid token signature');
+    }
+
+    let payload;
+    try {
+      payload = JSON.parse(Buffer.from(parts[1], 'base64url').toString('utf-8'));
+    } catch (error) {
+      throw new AuthenticationError('Malformed token payload');
+    }
+    if (!payload.sub) {
+      throw new AuthenticationError('Token has no subject');
+    }
+    if (typeof payload.exp !== 'number') {
+      throw new AuthenticationError('Token has no expiry (exp)');
+    }
+    if (payload.exp * 1000 < Date.now()) {
+      throw new AuthenticationError('Token has expired');
+    }
+    return { type: 'hmac', subject: String(payload.sub), scopes: parseScopes(payload.scope) };
+  }
+}
+
+// Supported JWS algorithms and the key type (and curve) each one needs
+const JWT_ALGORITHMS = {
+  RS256: { kty: 'RSA', hash: 'sha256' },
+  RS384: { kty: 'RSA', hash: 'sha384' },
+  RS512: { kty: 'RSA', hash: 'sha512' },
+  PS256: { kty: 'RSA', hash: 'sha256', padding: crypto.constants.RSA_PKCS1_PSS_PADDING, saltLength: 32 },
+  PS384: { kty: 'RSA', hash: 'sha384', padding: crypto.constants.RSA_PKCS1_PSS_PADDING, saltLength: 48 },
+  PS512: { kty: 'RSA', hash: 'sha512', padding: crypto.constants.RSA_PKCS1_PSS_PADDING, saltLength: 64 },
+  ES256: { kty: 'EC', crv: 'P-256', hash: 'sha256', dsaEncoding: 'ieee-p1363' },
+  ES384: { kty: 'EC', crv: 'P-384', hash: 'sha384', dsaEncoding: 'ieee-p1363' },
+  ES512: { kty: 'EC', crv: 'P-521', hash: 'sha512', dsaEncoding: 'ieee-p1363' },
+  EdDSA: { kty: 'OKP', hash: null }
+};
+const JWKS_CACHE_DURATION = 10 * 60 * 1000; // 10 minutes
+const JWT_CLOCK_SKEW = 60; // seconds
+
+// OAuth 2.1 resource server: validates JWT access tokens against a JWKS
+class JwtAuthenticator {
+  constructor({ jwksUrl, issuer, audience, requiredScopes = [] }) {
+    this.jwksUrl = jwksUrl;
+    this.issuer = issuer;
+    this.audience = audience;
+    this.requiredScopes = requiredScopes;
+    this.keys = new Map();
+    this.fetchedAt = 0;
+  }
+
+  async refreshKeys() {
+    const response = await fetch(this.jwksUrl);
+    if (!response.ok) {
+      throw new Error(`Failed to fetch JWKS: ${response.status} ${response.statusText}`);
+    }
+    const { keys = [] } = await response.json();
+    this.keys = new Map(keys.map((jwk, index) => [jwk.kid || `key-${index}`, jwk]));
+    this.fetchedAt = Date.now();
+  }
+
+  // The JWK a token names. Tokens without a kid are only accepted while
+  // the JWKS holds a single key.
+  async getKey(kid) {
+    const stale = Date.now() - this.fetchedAt > JWKS_CACHE_DURATION;
+    // Refetch when the cache is stale, or on an unknown kid (key rotation)
+    // but no more than once every few seconds
+    if (stale || (kid && !this.keys.has(kid) && Date.now() - this.fetchedAt > 5000)) {
+      await this.refreshKeys();
+    }
+    if (!kid) {
+      if (this.keys.size > 1) {
+        throw new AuthenticationError('Token has no key id (kid) and the JWKS holds several keys');
+      }
+      return this.keys.values().next().value || null;
+    }
+    return this.keys.get(kid) || null;
+  }
+
+  async authenticate(token) {
+    const parts = token.split('.');
+    if (parts.length !== 3) {
+      return null;
+    }
+
+    let header;
+    let payload;
+    try {
+      header = JSON.parse(Buffer.from(parts[0], 'base64url').toString('utf-8'));
+      payload = JSON.parse(Buffer.from(parts[1], 'base64url').toString('utf-8'));
+    } catch (error) {
+      return null;
+    }
+
+    const algorithm = JWT_ALGORITHMS[header.alg];
+    if (!algorithm) {
+      throw new AuthenticationError(`Unsupported token algorithm: ${header.alg}`);
+    }
+    const jwk = await this.getKey(header.kid);
+    if (!jwk) {
+      throw new AuthenticationError('Token signing key not found');
+    }
+    // The token's alg must be the one its key is for, so that a key is
+    // never used with an algorithm its owner did not choose
+    if ((jwk.alg && jwk.alg !== header.alg) || jwk.kty !== algorithm.kty || (algorithm.crv && jwk.crv !== algorithm.crv)) {
+      throw new AuthenticationError(`Token algorithm ${header.alg} does not match its signing key`);
+    }
+    const key = crypto.createPublicKey({ key: jwk, format: 'jwk' });
+
+    const verified = crypto.verify(
+      algorithm.hash,
+      Buffer.from(`${parts[0]}.${parts[1]}`),
+      { key, padding: algorithm.padding, saltLength: algorithm.saltLength, dsaEncoding: algorithm.dsaEncoding },
+      Buffer.from(parts[2], 'base64url')
+    );
+    if (!verified) {
+      throw new AuthenticationError('Invalid token signature');
+    }
+
+    const now = Math.floor(Date.now() / 1000);
+    if (payload.exp === undefined || payload.exp + JWT_CLOCK_SKEW < now) {
+      throw new AuthenticationError('Token has expired');
+    }
+    if (payload.nbf !== undefined && payload.nbf - JWT_CLOCK_SKEW > now) {
+      throw new AuthenticationError('Token is not yet valid');
+    }
+    if (this.issuer && payload.iss !== this.issuer) {
+      throw new AuthenticationError('Token issuer is not trusted');
+    }
+    if (this.audience) {
+      const audiences = Array.isArray(payload.aud) ? payload.aud : [payload.aud];
+      if (!audiences.includes(this.audience)) {
+        throw new AuthenticationError('Token audience does not match this server');
+      }
+    }
+
+    const scopes = parseScopes(payload.scope !== undefined ? payload.scope : payload.scp);
+    const missing = this.requiredScopes.filter(scope => !scopes.includes(scope));
+    if (missing.length > 0) {
+      throw new AuthenticationError(`Token is missing required scopes: ${missing.join(' ')}`, { status: 403, code: 'insufficient_scope' });
+    }
+
+    return { type: 'oauth', subject: String(payload.sub), scopes, claims: payload };
+  }
+}
+
+const authenticators = [];
+if (process.env.MCP_API_KEYS) {
+  authenticators.push(new ApiKeyAuthenticator(process.env.MCP_API_KEYS));
+}
+if (process.env.MCP_HMAC_SECRET) {
+  authenticators.push(new HmacTokenAuthenticator(process.env.MCP_HMAC_SECRET));
+}
+const oauthAuthenticator = process.env.MCP_OAUTH_JWKS_URL
+  ? new JwtAuthenticator({
+    jwksUrl: process.env.MCP_OAUTH_JWKS_URL,
+    issuer: process.env.MCP_OAUTH_ISSUER,
+    audience: process.env.MCP_OAUTH_AUDIENCE || `${PUBLIC_BASE_URL}/mcp`,
+    requiredScopes: parseScopes(process.env.MCP_OAUTH_REQUIRED_SCOPES)
+  })
+  : null;
+if (oauthAuthenticator) {
+  authenticators.push(oauthAuthenticator);
+}
+
+const ANONYMOUS_CALLER = { type: 'anonymous', subject: 'anonymous', scopes: [] };
+const RESOURCE_METADATA_URL = `${PUBLIC_BASE_URL}/.well-known/oauth-protected-resource`;
+
+function sendUnauthorized(res, error) {
+  const params = ['realm="github-mcp-server"'];
+  if (error) {
+    params.push(`error="${error.code}"`, `error_description="${error.message.replace(/"/g, "'")}"`);
+  }
+  if (oauthAuthenticator) {
+    params.push(`resource_metadata="${RESOURCE_METADATA_URL}"`);
+  }
+  res.set('WWW-Authenticate', `Bearer ${params.join(', ')}`);
+  res.status(error ? error.status : 401).json({ error: error ? error.code : 'unauthorized', message: error ? error.message : 'Authentication required' });
+}
+
+// Express middleware: resolve req.auth from the bearer token or answer 401
+async function requireAuth(req, res, next) {
+  if (authenticators.length === 0) {
+    req.auth = ANONYMOUS_CALLER;
+    return next();
+  }
+
+  const match = (req.get('Authorization') || '').match(/^Bearer\s+(.+)$/i);
+  if (!match) {
+    return sendUnauthorized(res);
+  }
+
+  try {
+    for (const authenticator of authenticators) {
+      const identity = await authenticator.authenticate(match[1].trim());
+      if (identity) {
+        req.auth = identity;
+        return next();
+      }
+    }
+    sendUnauthorized(res, new AuthenticationError('Unrecognized access token'));
+  } catch (error) {
+    if (error instanceof AuthenticationError) {
+      return sendUnauthorized(res, error);
+    }
+    console.error('Authentication error:', error.message);
+    res.status(500).json({ error: 'server_error', message: 'Authentication could not be completed' });
+  }
+}
+
+// Pick the GitHub credentials a request acts with, in order of precedence:
+// X-GitHub-Token header, GITHUB_TOKEN_MAP entry for the authenticated caller,
+// the Authorization header itself when inbound auth is disabled, and finally
+// the shared GitHub App or GITHUB_PERSONAL_ACCESS_TOKEN
+function resolveGitHubCredentials(req) {
+  const headerToken = req.get('X-GitHub-Token');
+  if (headerToken) {
+    return new TokenCredentials(headerToken.trim());
+  }
+
+  if (req.auth && GITHUB_TOKEN_MAP[req.auth.subject]) {
+    return new TokenCredentials(GITHUB_TOKEN_MAP[req.auth.subject]);
+  }
+
+  if (authenticators.length === 0) {
+    const match = (req.get('Authorization') || '').match(/^(?:Bearer|token)\s+(.+)$/i);
+    if (match) {
+      return new TokenCredentials(match[1].trim());
+    }
+  }
+
+  if (GITHUB_REQUIRE_CLIENT_TOKEN) {
+    return null;
+  }
+  if (githubApp) {
+    return githubApp;
+  }
+  if (process.env.GITHUB_PERSONAL_ACCESS_TOKEN) {
+    return new TokenCredentials(process.env.GITHUB_PERSONAL_ACCESS_TOKEN);
+  }
+  return null;
+}
+
+// Per-request context handed to JSON-RPC handlers and tools
+function requestContext(req, session = null) {
+  return {
+    session,
+    auth: req.auth,
+    credentials: session ? session.credentials : resolveGitHubCredentials(req)
+  };
+}
+
+// Identity of the GitHub credentials a session or request acts with
+function credentialIdentity(credentials) {
+  if (!credentials) {
+    return null;
+  }
+  return credentials.identity || `app:${credentials.appId}`;
+}
+
+// Sessions belong to the caller that created them: the same inbound caller
+// presenting the same GitHub credentials. The credentials matter most when
+// inbound auth is off and every caller has the anonymous subject.
+function ownsSession(req, session) {
+  return Boolean(session.auth) &&
+    session.auth.subject === req.auth.subject &&
+    session.auth.type === req.auth.type &&
+    credentialIdentity(session.credentials) === credentialIdentity(resolveGitHubCredentials(req));
+}
+
+// OAuth 2.0 Protected Resource Metadata (RFC 9728), as required by the MCP
+// authorization spec for clients to discover the authorization server
+app.get(['/.well-known/oauth-protected-resource', '/.well-known/oauth-protected-resource/mcp'], (req, res) => {
+  if (!oauthAuthenticator) {
+    return res.status(404).json({ error: 'OAuth is not enabled on this server' });
+  }
+  const authorizationServers = (process.env.MCP_OAUTH_AUTHORIZATION_SERVERS || process.env.MCP_OAUTH_ISSUER || '')
+    .split(',')
+    .map(server => server.trim())
+    .filter(Boolean);
+
+  res.json({
+    resource: oauthAuthenticator.audience,
+    authorization_servers: authorizationServers,
+    bearer_methods_supported: ['header'],
+    scopes_supported: oauthAuthenticator.requiredScopes
+  });
+});
+
+// MCP Server endpoints
+app.get('/mcp/tools', requireAuth, (req, res) => {
+  res.json({ tools: listTools() });
+});
+
+app.post('/mcp/tools/call', requireAuth, parseMessageBody, async (req, res) => {
+  try {
+    const { name, arguments: args } = req.body;
+    const result = await callTool(name, args, requestContext(req));
+    res.json(result);
+  } catch (error) {
+    res.status(error instanceof JsonRpcError ? 400 : 500).json(toolErrorResult(error));
   }
+});
 
-  if (method === 'tools/call') {
-    const { name, arguments: args } = params;
+// Admin routes need an authenticated caller listed in MCP_ADMIN_SUBJECTS or
+// holding the mcp:admin scope. Without inbound auth they are open, like the
+// MCP endpoints themselves.
+const ADMIN_SUBJECTS = splitList(process.env.MCP_ADMIN_SUBJECTS);
 
-    try {
-      let content;
+function requireAdmin(req, res, next) {
+  if (authenticators.length === 0 ||
+      ADMIN_SUBJECTS.includes(req.auth.subject) ||
+      req.auth.scopes.includes('mcp:admin')) {
+    return next();
+  }
+  res.status(403).json({ error: 'forbidden', message: 'Admin access required' });
+}
 
-      switch (name) {
-        case 'github_get_repository':
-          const repo = await githubClient.getRepository(args.owner, args.repo);
-          content = `Repository: ${repo.full_name}\nDescription: ${repo.description || 'No description'}\nLanguage: ${repo.language || 'Unknown'}\nStars: ${repo.stargazers_count}\nForks: ${repo.forks_count}\nCreated: ${repo.created_at}\nUpdated: ${repo.updated_at}\nURL: ${repo.html_url}`;
-          break;
+function parseAuditTime(value, name) {
+  if (value === undefined) {
+    return undefined;
+  }
+  const time = new Date(value);
+  if (Number.isNaN(time.getTime())) {
+    throw new Error(`Invalid ${name}: expected an ISO 8601 timestamp`);
+  }
+  return time.toISOString();
+}
 
-        case 'github_list_repositories':
-          const repos = await githubClient.listRepositories(args.per_page, args.sort);
-          const repoList = repos.map(repo =>
-            `${repo.full_name} - ${repo.description || 'No description'} (${repo.language || 'Unknown'})`
-          ).join('\n');
-          content = `Found ${repos.length} repositories:\n\n${repoList}`;
-          break;
+app.get('/admin/audit', requireAuth, requireAdmin, async (req, res) => {
+  if (!auditLog.queryable) {
+    return res.status(404).json({ error: 'not_found', message: 'No queryable audit log is configured' });
+  }
 
-        case 'github_list_issues':
-          const issues = await githubClient.listIssues(args.owner, args.repo, args.state);
-          const issueList = issues.map(issue =>
-            `#${issue.number}: ${issue.title} (${issue.state}) - ${issue.user.login}`
-          ).join('\n');
-          content = `Issues in ${args.owner}/${args.repo} (${args.state}):\n\n${issueList || 'No issues found'}`;
-          break;
+  let filter;
+  try {
+    filter = {
+      tool: req.query.tool,
+      repo: req.query.repo,
+      caller: req.query.caller,
+      since: parseAuditTime(req.query.since, 'since'),
+      until: parseAuditTime(req.query.until, 'until')
+    };
+  } catch (error) {
+    return res.status(400).json({ error: 'invalid_request', message: error.message });
+  }
+  const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 100, 1), 1000);
 
-        case 'github_create_issue':
-          const newIssue = await githubClient.createIssue(args.owner, args.repo, {
-            title: args.title,
-            body: args.body,
-            labels: args.labels
-          });
-          content = `Created issue #${newIssue.number}: ${newIssue.title}\nURL: ${newIssue.html_url}`;
-          break;
+  try {
+    const entries = await auditLog.query(filter, limit);
+    res.json({ count: entries.length, entries });
+  } catch (error) {
+    console.error('Audit log query failed:', error.message);
+    res.status(500).json({ error: 'server_error', message: 'Audit log could not be read' });
+  }
+});
 
-        case 'github_get_file_content':
-          const fileData = await githubClient.getFileContent(args.owner, args.repo, args.path, args.ref);
-          if (fileData.type !== 'file') {
-            throw new Error('Path is not a file');
-          }
-          const fileContent = Buffer.from(fileData.content, 'base64').toString('utf-8');
-          content = `File: ${args.path} (${fileData.size} bytes)\n\n${fileContent}`;
-          break;
+// GitHub webhooks
+//
+// Deliveries are authenticated by their X-Hub-Signature-256 HMAC rather than
+// by the MCP authenticators, and turned into resource update notifications.
+const GITHUB_WEBHOOK_SECRET = process.env.GITHUB_WEBHOOK_SECRET;
 
-        case 'github_list_pull_requests':
-          const pullRequests = await githubClient.listPullRequests(args.owner, args.repo, args.state, args.per_page);
-          const prList = pullRequests.map(pr =>
-            `#${pr.number}: ${pr.title} (${pr.state}) - ${pr.user.login}`
-          ).join('\n');
-          content = `Pull Requests in ${args.owner}/${args.repo} (${args.state}):\n\n${prList || 'No pull requests found'}`;
-          break;
+function verifyWebhookSignature(rawBody, signature) {
+  if (!rawBody || !signature || !signature.startsWith('sha256=')) {
+    return false;
+  }
+  const expected = `sha256=${crypto.createHmac('sha256', GITHUB_WEBHOOK_SECRET).update(rawBody).digest('hex')}`;
+  return safeEqual(expected, signature);
+}
 
-        case 'github_get_pull_request':
-          const pullRequest = await githubClient.getPullRequest(args.owner, args.repo, args.pull_number);
-          content = `Pull Request #${pullRequest.number}: ${pullRequest.title}\nState: ${pullRequest.state}\nAuthor: ${pullRequest.user.login}\nCreated: ${pullRequest.created_at}\nURL: ${pullRequest.html_url}`;
-          break;
+// Resource keys affected by a webhook event
+function webhookResourceKeys(event, payload) {
+  const repository = payload.repository;
+  if (!repository) {
+    return [];
+  }
+  const [owner, repo] = repository.full_name.split('/');
+  const key = (name, params = {}) => resourceKey(name, { owner, repo, ...params });
 
-        case 'github_create_pull_request':
-          const newPullRequest = await githubClient.createPullRequest(args.owner, args.repo, {
-            title: args.title,
-            head: args.head,
-            base: args.base,
-            body: args.body
-          });
-          content = `Created pull request #${newPullRequest.number}: ${newPullRequest.title}\nURL: ${newPullRequest.html_url}`;
-          break;
+  switch (event) {
+    case 'push': {
+      const keys = [key('repository')];
+      const match = /^refs\/heads\/(.+)$/.exec(payload.ref || '');
+      if (match) {
+        const branch = match[1];
+        keys.push(key('branch', { branch }));
+        const paths = new Set();
+        for (const commit of payload.commits || []) {
+          for (const filePath of [...(commit.added || []), ...(commit.modified || []), ...(commit.removed || [])]) {
+            paths.add(filePath);
+          }
+        }
+        for (const filePath of paths) {
+          keys.push(key('file', { ref: branch, path: filePath }));
+        }
+      }
+      return keys;
+    }
+    case 'issues':
+      return [key('issue', { number: payload.issue.number })];
+    case 'issue_comment': {
+      // Pull requests are issues too; their comments arrive as issue_comment
+      const keys = [key('issue', { number: payload.issue.number })];
+      if (payload.issue.pull_request) {
+        keys.push(key('pull_request', { number: payload.issue.number }));
+      }
+      return keys;
+    }
+    case 'pull_request':
+      return [
+        key('pull_request', { number: payload.pull_request.number }),
+        key('issue', { number: payload.pull_request.number })
+      ];
+    default:
+      return [];
+  }
+}
 
-        case 'github_merge_pull_request':
-          const mergedPullRequest = await githubClient.mergePullRequest(args.owner, args.repo, args.pull_number, {
-            merge_method: args.merge_method || 'merge'
-          });
-          content = `Pull Request #${args.pull_number} merged successfully: ${mergedPullRequest.message}`;
-          break;
+app.post('/webhooks/github', (req, res) => {
+  if (!GITHUB_WEBHOOK_SECRET) {
+    return res.status(404).json({ error: 'not_found', message: 'Webhooks are not configured (set GITHUB_WEBHOOK_SECRET)' });
+  }
+  if (!req.rawBody) {
+    return res.status(415).json({ error: 'unsupported_media_type', message: 'Configure the webhook with content type application/json' });
+  }
+  if (!verifyWebhookSignature(req.rawBody, req.get('X-Hub-Signature-256'))) {
+    return res.status(401).json({ error: 'invalid_signature' });
+  }
 
-        case 'github_list_branches':
-          const branches = await githubClient.listBranches(args.owner, args.repo, args.per_page);
-          const branchList = branches.map(branch => branch.name).join('\n');
-          content = `Branches in ${args.owner}/${args.repo}:\n\n${branchList}`;
-          break;
+  const event = req.get('X-GitHub-Event');
+  const keys = webhookResourceKeys(event, req.body || {});
+  const notified = notifyResourceUpdates(keys);
+  res.json({ event, resources: keys.length, notified });
+});
 
-        case 'github_get_branch':
-          const branch = await githubClient.getBranch(args.owner, args.repo, args.branch);
-          content = `Branch ${args.branch} in ${args.owner}/${args.repo}\nSHA: ${branch.commit.sha}\nProtected: ${branch.protected}`;
-          break;
+// MCP JSON-RPC Handler
+async function handleJsonRpcRequest(message, context = {}) {
+  const { jsonrpc, id, method, params } = message;
+  const { session } = context;
 
-        case 'github_create_branch':
-          const newBranch = await githubClient.createBranch(args.owner, args.repo, args.branch, args.from_branch || 'main');
-          content = `Created branch ${args.branch} in ${args.owner}/${args.repo}`;
-          break;
+  // Responses to requests this server sent (e.g. elicitation)
+  if (method === undefined && (message.result !== undefined || message.error !== undefined)) {
+    resolveSessionRequest(session, message);
+    return null;
+  }
 
-        case 'github_list_commits':
-          const commits = await githubClient.listCommits(args.owner, args.repo, args.sha, args.per_page);
-          const commitList = commits.map(commit =>
-            `${commit.sha.slice(0, 7)}: ${commit.commit.message.split('\n')[0]} - ${commit.author.login}`
-          ).join('\n');
-          content = `Commits in ${args.owner}/${args.repo}:\n\n${commitList}`;
-          break;
+  // Notifications (no id) never get a response
+  if (id === undefined || id === null) {
+    return null;
+  }
 
-        case 'github_get_commit':
-          const commitDetails = await githubClient.getCommit(args.owner, args.repo, args.ref);
-          content = `Commit ${commitDetails.sha}\nAuthor: ${commitDetails.author.login}\nDate: ${commitDetails.commit.author.date}\nMessage: ${commitDetails.commit.message}`;
-          break;
+  if (method === 'initialize') {
+    const requestedVersion = params && params.protocolVersion;
+    const protocolVersion = SUPPORTED_PROTOCOL_VERSIONS.includes(requestedVersion)
+      ? requestedVersion
+      : SUPPORTED_PROTOCOL_VERSIONS[0];
 
-        case 'github_search_repositories':
-          const repoSearchResults = await githubClient.searchRepositories(args.query, args.per_page);
-          const repoSearchList = repoSearchResults.items.map(repo =>
-            `${repo.full_name} - ${repo.description || 'No description'} (Stars: ${repo.stargazers_count})`
-          ).join('\n');
-          content = `Repository search results for "${args.query}":\n\n${repoSearchList}`;
-          break;
+    if (session) {
+      session.protocolVersion = protocolVersion;
+      session.clientInfo = params && params.clientInfo;
+      session.clientCapabilities = (params && params.capabilities) || {};
+    }
 
-        case 'github_search_code':
-          const codeSearchResults = await githubClient.searchCode(args.query, args.per_page);
-          const codeSearchList = codeSearchResults.items.map(code =>
-            `${code.repository.full_name}/${code.path}`
-          ).join('\n');
-          content = `Code search results for "${args.query}":\n\n${codeSearchList}`;
-          break;
+    return {
+      jsonrpc: '2.0',
+      id,
+      result: {
+        protocolVersion,
+        capabilities: {
+          tools: {},
+          resources: { subscribe: true },
+          prompts: {},
+          completions: {}
+        },
+        serverInfo: {
+          name: 'github-mcp-server',
+          version: '1.0.0'
+        }
+      }
+    };
+  }
 
-        case 'github_search_issues':
-          const issueSearchResults = await githubClient.searchIssues(args.query, args.per_page);
-          const issueSearchList = issueSearchResults.items.map(issue =>
-            `${issue.repository_url.split('/').slice(-2).join('/')}#${issue.number}: ${issue.title} (${issue.state})`
-          ).join('\n');
-          content = `Issue search results for "${args.query}":\n\n${issueSearchList}`;
-          break;
+  if (method === 'tools/list') {
+    return {
+      jsonrpc: '2.0',
+      id,
+      result: { tools: listTools() }
+    };
+  }
 
-        case 'github_list_issue_comments':
-          const issueComments = await githubClient.listIssueComments(args.owner, args.repo, args.issue_number);
-          const commentList = issueComments.map(comment =>
-            `${comment.user.login} at ${comment.created_at}: ${comment.body.split('\n')[0]}`
-          ).join('\n');
-          content = `Comments on issue #${args.issue_number} in ${args.owner}/${args.repo}:\n\n${commentList || 'No comments'}`;
-          break;
+  if (method === 'tools/call') {
+    const { name, arguments: args } = params || {};
+    return await jsonRpcResult(id, () => callTool(name, args, context));
+  }
 
-        case 'github_create_issue_comment':
-          const newComment = await githubClient.createIssueComment(args.owner, args.repo, args.issue_number, args.body);
-          content = `Comment added to issue #${args.issue_number} in ${args.owner}/${args.repo}\nURL: ${newComment.html_url}`;
-          break;
+  if (method === 'resources/list') {
+    return await jsonRpcResult(id, () => listResources(params && params.cursor, context));
+  }
 
-        case 'github_update_issue':
-          const updatedIssue = await githubClient.updateIssue(args.owner, args.repo, args.issue_number, {
-            state: args.state,
-            title: args.title,
-            body: args.body
-          });
-          content = `Updated issue #${updatedIssue.number} in ${args.owner}/${args.repo}\nState: ${updatedIssue.state}`;
-          break;
+  if (method === 'resources/templates/list') {
+    return {
+      jsonrpc: '2.0',
+      id,
+      result: { resourceTemplates: listResourceTemplates() }
+    };
+  }
 
-        case 'github_create_or_update_file':
-          const fileUpdate = await githubClient.createOrUpdateFile(args.owner, args.repo, {
-            path: args.path,
-            message: args.message,
-            content: args.content,
-            branch: args.branch
-          });
-          content = `${fileUpdate.content.type === 'file' ? 'Created' : 'Updated'} file ${args.path} in ${args.owner}/${args.repo}\nCommit: ${fileUpdate.commit.sha}`;
-          break;
+  if (method === 'resources/read') {
+    return await jsonRpcResult(id, () => readResource(params && params.uri, context));
+  }
 
-        case 'github_create_repository':
-          const newRepository = await githubClient.createRepository({
-            name: args.name,
-            description: args.description,
-            private: args.private || false
-          });
-          content = `Created repository ${newRepository.full_name}\nURL: ${newRepository.html_url}`;
-          break;
+  if (method === 'prompts/list') {
+    return {
+      jsonrpc: '2.0',
+      id,
+      result: { prompts: listPrompts() }
+    };
+  }
 
-        case 'github_fork_repository':
-          const forkedRepo = await githubClient.forkRepository(args.owner, args.repo, args.organization);
-          content = `Forked ${args.owner}/${args.repo} to ${forkedRepo.full_name}`;
-          break;
+  if (method === 'prompts/get') {
+    return await jsonRpcResult(id, () => getPrompt(params && params.name, params && params.arguments, context));
+  }
 
-        case 'github_get_user':
-          const userDetails = await githubClient.getUser(args.username);
-          content = `User: ${userDetails.name || userDetails.login}\nEmail: ${userDetails.email || 'N/A'}\nCompany: ${userDetails.company || 'N/A'}\nPublic Repos: ${userDetails.public_repos}\nFollowers: ${userDetails.followers}`;
-          break;
+  if (method === 'completion/complete') {
+    return await jsonRpcResult(id, () => completeArgument(params, context));
+  }
 
-        default:
-          throw new Error(`Unknown tool: ${name}`);
-      }
+  if (method === 'resources/subscribe') {
+    return await jsonRpcResult(id, () => subscribeResource(params && params.uri, context));
+  }
 
-      return {
-        jsonrpc: '2.0',
-        id,
-        result: {
-          content: [
-            {
-              type: 'text',
-              text: content
-            }
-          ]
-        }
-      };
-    } catch (error) {
-      return {
-        jsonrpc: '2.0',
-        id,
-        error: {
-          code: -32000,
-          message: error.message
-        }
-      };
-    }
+  if (method === 'resources/unsubscribe') {
+    return await jsonRpcResult(id, () => unsubscribeResource(params && params.uri, context));
   }
 
   return {
@@ -972,42 +6035,199 @@ async function handleJsonRpcRequest(message) {
   };
 }
 
-// MCP Streamable HTTP endpoint (POST for requests)
-app.post('/sse', async (req, res) => {
+// Run a method implementation and wrap its result or error in a response
+async function jsonRpcResult(id, produce) {
   try {
-    const message = req.body;
-    const response = await handleJsonRpcRequest(message);
-    res.json(response);
+    return {
+      jsonrpc: '2.0',
+      id,
+      result: await produce()
+    };
   } catch (error) {
-    res.status(500).json({
+    return {
       jsonrpc: '2.0',
-      id: req.body.id,
+      id,
       error: {
-        code: -32603,
-        message: error.message
+        code: error instanceof JsonRpcError ? error.code : -32603,
+        message: error.message,
+        ...(error.data !== undefined && { data: error.data })
       }
-    });
+    };
   }
-});
+}
 
-// MCP SSE endpoint (GET for event stream)
-app.get('/sse', (req, res) => {
-  const sessionId = uuidv4();
+// Handle a single JSON-RPC message or a batch, returning only the responses
+async function handleJsonRpcPayload(payload, context = {}) {
+  const messages = Array.isArray(payload) ? payload : [payload];
+  const responses = [];
+
+  for (const message of messages) {
+    try {
+      const response = await handleJsonRpcRequest(message, context);
+      if (response) {
+        responses.push(response);
+      }
+    } catch (error) {
+      responses.push({
+        jsonrpc: '2.0',
+        id: message && message.id !== undefined ? message.id : null,
+        error: {
+          code: -32603,
+          message: error.message
+        }
+      });
+    }
+  }
+
+  return responses;
+}
+
+// Write a single Server-Sent Event to an open stream
+function writeSseEvent(res, event, data, eventId) {
+  const payload = typeof data === 'string' ? data : JSON.stringify(data);
+  const idLine = eventId !== undefined ? `id: ${eventId}\n` : '';
+  res.write(`${idLine}event: ${event}\ndata: ${payload}\n\n`);
+}
 
+function openSseStream(res) {
   res.writeHead(200, {
     'Content-Type': 'text/event-stream',
     'Cache-Control': 'no-cache',
     'Connection': 'keep-alive',
-    'Access-Control-Allow-Origin': '*',
     'X-Accel-Buffering': 'no'
   });
+}
+
+// Each SSE stream of a Streamable HTTP session has its own replay buffer.
+// Event ids are `<stream>-<n>`, so a Last-Event-ID names the stream it came
+// from and resuming replays that stream only. The GET stream is always 0,
+// and also holds messages sent while no stream was open.
+const GET_STREAM_ID = '0';
+
+function replayBuffer(session, streamId) {
+  if (!session.replay.has(streamId)) {
+    session.replay.set(streamId, { events: [], nextEventId: 1 });
+    // Drop the oldest POST streams' buffers; the GET stream's is kept
+    for (const id of session.replay.keys()) {
+      if (session.replay.size <= REPLAY_STREAMS) {
+        break;
+      }
+      if (id !== GET_STREAM_ID) {
+        session.replay.delete(id);
+      }
+    }
+  }
+  return session.replay.get(streamId);
+}
+
+// Record a message in its stream's replay buffer and return its event id
+function recordSessionEvent(session, streamId, message) {
+  const buffer = replayBuffer(session, streamId);
+  const event = { id: `${streamId}-${buffer.nextEventId++}`, message };
+  buffer.events.push(event);
+  if (buffer.events.length > EVENT_BUFFER_SIZE) {
+    buffer.events.shift();
+  }
+  return event.id;
+}
+
+// Events on the stream named by a Last-Event-ID that came after it
+function eventsAfter(session, lastEventId) {
+  const match = /^(\d+)-(\d+)$/.exec(lastEventId);
+  const buffer = match && session.replay.get(match[1]);
+  if (!buffer) {
+    return [];
+  }
+  return buffer.events.filter(event => Number(event.id.split('-')[1]) > Number(match[2]));
+}
+
+// Deliver a server-to-client message on the given stream (a POST response
+// stream), or on whatever stream the session has open
+function sendToSession(session, message, stream = null) {
+  if (session.transport === 'sse') {
+    writeSseEvent(session.res, 'message', message);
+    return;
+  }
+
+  const target = stream || session.stream;
+  const eventId = recordSessionEvent(session, target ? target.locals.streamId : GET_STREAM_ID, message);
+  if (target) {
+    writeSseEvent(target, 'message', message, eventId);
+  }
+}
+
+// Whether a server-to-client request can reach the client in this context
+function canElicit(context) {
+  const { session } = context;
+  return Boolean(session && session.clientCapabilities && session.clientCapabilities.elicitation &&
+    (session.transport === 'sse' || context.responseStream || session.stream));
+}
+
+// Send a JSON-RPC request to the client and wait for its response
+function sendSessionRequest(session, method, params, { stream = null, timeout = 60000 } = {}) {
+  const id = `server-${uuidv4()}`;
+  session.pendingRequests = session.pendingRequests || new Map();
+
+  return new Promise((resolve, reject) => {
+    const timer = setTimeout(() => {
+      session.pendingRequests.delete(id);
+      reject(new Error(`Client did not answer ${method} within ${Math.round(timeout / 1000)}s`));
+    }, timeout);
+    session.pendingRequests.set(id, { resolve, reject, timer });
+    sendToSession(session, { jsonrpc: '2.0', id, method, params }, stream);
+  });
+}
+
+function resolveSessionRequest(session, message) {
+  const pending = session && session.pendingRequests && session.pendingRequests.get(message.id);
+  if (!pending) {
+    return;
+  }
+  clearTimeout(pending.timer);
+  session.pendingRequests.delete(message.id);
+  if (message.error) {
+    pending.reject(new Error(`Client error ${message.error.code}: ${message.error.message}`));
+  } else {
+    pending.resolve(message.result);
+  }
+}
+
+function isRequestMessage(message) {
+  return message && typeof message.method === 'string' && message.id !== undefined && message.id !== null;
+}
+
+function acceptsEventStream(req) {
+  return (req.get('Accept') || '').includes('text/event-stream');
+}
+
+// MCP Streamable HTTP endpoint (POST for requests)
+app.post('/sse', requireAuth, parseMessageBody, async (req, res) => {
+  const responses = await handleJsonRpcPayload(req.body, requestContext(req));
+
+  if (responses.length === 0) {
+    return res.status(202).end();
+  }
+
+  res.json(Array.isArray(req.body) ? responses : responses[0]);
+});
+
+// MCP SSE endpoint (GET for event stream, legacy HTTP+SSE transport)
+app.get('/sse', requireAuth, (req, res) => {
+  const sessionId = uuidv4();
+
+  openSseStream(res);
 
   // Store session
-  sessions.set(sessionId, { res, id: sessionId });
+  sessions.set(sessionId, {
+    id: sessionId,
+    transport: 'sse',
+    res,
+    auth: req.auth,
+    credentials: resolveGitHubCredentials(req)
+  });
 
-  // Send initial endpoint message
-  const baseUrl = process.env.RENDER_EXTERNAL_URL || `http://localhost:${PORT}`;
-  res.write(`data: {"jsonrpc":"2.0","method":"endpoint","params":{"uri":"${baseUrl}/sse"}}\n\n`);
+  // Tell the client where to POST its messages for this session
+  writeSseEvent(res, 'endpoint', `${PUBLIC_BASE_URL}/messages?sessionId=${sessionId}`);
 
   // Keep-alive ping every 30 seconds
   const keepAliveInterval = setInterval(() => {
@@ -1021,19 +6241,201 @@ app.get('/sse', (req, res) => {
   });
 });
 
-app.get('/mcp', (req, res) => {
-  res.json({
-    name: 'github-mcp-server',
-    version: '1.0.0',
-    description: 'GitHub Model Context Protocol Server',
-    capabilities: ['tools'],
-    tools: GITHUB_TOOLS
+// MCP SSE message endpoint (POST, responses are delivered on the session stream)
+app.post('/messages', requireAuth, parseMessageBody, async (req, res) => {
+  const sessionId = req.query.sessionId;
+  const session = sessionId && sessions.get(sessionId);
+
+  if (!session || session.transport !== 'sse' || !ownsSession(req, session)) {
+    return res.status(404).json({
+      jsonrpc: '2.0',
+      id: null,
+      error: {
+        code: -32001,
+        message: 'Session not found'
+      }
+    });
+  }
+
+  res.status(202).send('Accepted');
+
+  const responses = await handleJsonRpcPayload(req.body, requestContext(req, session));
+  for (const response of responses) {
+    sendToSession(session, response);
+  }
+});
+
+function jsonRpcHttpError(res, status, code, message) {
+  res.status(status).json({
+    jsonrpc: '2.0',
+    id: null,
+    error: { code, message }
+  });
+}
+
+// Resolve the Streamable HTTP session named by the Mcp-Session-Id header,
+// answering with the spec-mandated status codes when it is missing or unknown
+function requireStreamableSession(req, res) {
+  const sessionId = req.get('Mcp-Session-Id');
+
+  if (!sessionId) {
+    jsonRpcHttpError(res, 400, -32000, 'Bad Request: Mcp-Session-Id header is required');
+    return null;
+  }
+
+  const session = sessions.get(sessionId);
+  if (!session || session.transport !== 'streamable' || !ownsSession(req, session)) {
+    jsonRpcHttpError(res, 404, -32001, 'Session not found');
+    return null;
+  }
+
+  const protocolVersion = req.get('MCP-Protocol-Version');
+  if (protocolVersion && !SUPPORTED_PROTOCOL_VERSIONS.includes(protocolVersion)) {
+    jsonRpcHttpError(res, 400, -32000, `Bad Request: Unsupported protocol version ${protocolVersion}`);
+    return null;
+  }
+
+  session.lastSeen = Date.now();
+  return session;
+}
+
+function closeSession(session) {
+  if (session.stream) {
+    session.stream.end();
+    session.stream = null;
+  }
+  if (session.keepAliveInterval) {
+    clearInterval(session.keepAliveInterval);
+  }
+  sessions.delete(session.id);
+}
+
+// MCP Streamable HTTP endpoint (POST for client messages)
+app.post('/mcp', requireAuth, parseMessageBody, async (req, res) => {
+  const payload = req.body;
+  const messages = Array.isArray(payload) ? payload : [payload];
+  const isInitialize = messages.some(message => message && message.method === 'initialize');
+
+  let session;
+  if (isInitialize) {
+    if (messages.length > 1) {
+      return jsonRpcHttpError(res, 400, -32600, 'Invalid Request: initialize must not be batched');
+    }
+    session = {
+      id: uuidv4(),
+      transport: 'streamable',
+      replay: new Map(),
+      nextStreamId: 1,
+      stream: null,
+      lastSeen: Date.now(),
+      auth: req.auth,
+      credentials: resolveGitHubCredentials(req)
+    };
+    sessions.set(session.id, session);
+    res.set('Mcp-Session-Id', session.id);
+  } else {
+    session = requireStreamableSession(req, res);
+    if (!session) {
+      return;
+    }
+  }
+
+  // Only notifications and responses: acknowledge without a body
+  if (!messages.some(isRequestMessage)) {
+    await handleJsonRpcPayload(payload, requestContext(req, session));
+    return res.status(202).end();
+  }
+
+  if (!acceptsEventStream(req)) {
+    const responses = await handleJsonRpcPayload(payload, requestContext(req, session));
+    return res.json(Array.isArray(payload) ? responses : responses[0]);
+  }
+
+  // Answer on an SSE stream; events are buffered so a dropped stream can be resumed
+  openSseStream(res);
+  res.locals.streamId = String(session.nextStreamId++);
+  const context = { ...requestContext(req, session), responseStream: res };
+  const responses = await handleJsonRpcPayload(payload, context);
+  for (const response of responses) {
+    const eventId = recordSessionEvent(session, res.locals.streamId, response);
+    writeSseEvent(res, 'message', response, eventId);
+  }
+  res.end();
+});
+
+// MCP Streamable HTTP endpoint (GET for server-initiated messages), or server info
+app.get('/mcp', requireAuth, (req, res) => {
+  if (!acceptsEventStream(req)) {
+    return res.json({
+      name: 'github-mcp-server',
+      version: '1.0.0',
+      description: 'GitHub Model Context Protocol Server',
+      capabilities: ['tools', 'resources', 'prompts'],
+      tools: listTools().map(tool => tool.name),
+      resourceTemplates: RESOURCE_TEMPLATES.map(template => template.uriTemplate),
+      prompts: PROMPTS.map(prompt => prompt.name)
+    });
+  }
+
+  const session = requireStreamableSession(req, res);
+  if (!session) {
+    return;
+  }
+
+  if (session.stream) {
+    return jsonRpcHttpError(res, 409, -32000, 'Conflict: a stream is already open for this session');
+  }
+
+  openSseStream(res);
+  res.locals.streamId = GET_STREAM_ID;
+  session.stream = res;
+
+  // Replay what the client missed on the stream its last event came from
+  const lastEventId = req.get('Last-Event-ID');
+  if (lastEventId) {
+    for (const event of eventsAfter(session, lastEventId)) {
+      writeSseEvent(res, 'message', event.message, event.id);
+    }
+  }
+
+  session.keepAliveInterval = setInterval(() => {
+    res.write(':ping\n\n');
+  }, 30000);
+
+  req.on('close', () => {
+    clearInterval(session.keepAliveInterval);
+    session.keepAliveInterval = null;
+    if (session.stream === res) {
+      session.stream = null;
+    }
+    session.lastSeen = Date.now();
   });
 });
 
+// MCP Streamable HTTP endpoint (DELETE terminates the session)
+app.delete('/mcp', requireAuth, (req, res) => {
+  const session = requireStreamableSession(req, res);
+  if (!session) {
+    return;
+  }
+
+  closeSession(session);
+  res.status(204).end();
+});
+
+// Expire Streamable HTTP sessions that have been idle with no open stream
+setInterval(() => {
+  const cutoff = Date.now() - SESSION_IDLE_TIMEOUT;
+  for (const session of sessions.values()) {
+    if (session.transport === 'streamable' && !session.stream && session.lastSeen < cutoff) {
+      closeSession(session);
+    }
+  }
+}, 60000).unref();
+
 // Health check endpoint
 app.get('/health', (req, res) => {
-  res.json({ status: 'healthy', service: 'github-mcp-server' });
+  res.json({ status: 'healthy', service: 'github-mcp-server', rateLimit: rateLimits.snapshot() });
 });
 
 // Start the server
@@ -1041,6 +6443,14 @@ app.listen(PORT, () => {
   console.log(`GitHub MCP Server running on port ${PORT}`);
   console.log(`Health check: http://localhost:${PORT}/health`);
   console.log(`MCP endpoint: http://localhost:${PORT}/mcp`);
+  if (githubApp && !GITHUB_REQUIRE_CLIENT_TOKEN) {
+    console.log(`Acting as GitHub App ${githubApp.appId}`);
+  } else if (!process.env.GITHUB_PERSONAL_ACCESS_TOKEN || GITHUB_REQUIRE_CLIENT_TOKEN) {
+    console.log('No shared GitHub token: clients must send X-GitHub-Token or be listed in GITHUB_TOKEN_MAP');
+  }
+  if (authenticators.length === 0) {
+    console.warn('Warning: no inbound authentication configured (MCP_API_KEYS, MCP_HMAC_SECRET or MCP_OAUTH_JWKS_URL); MCP endpoints are open to anyone');
+  }
 });
 
 // Handle graceful shutdown
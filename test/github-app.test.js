@@ -0,0 +1,142 @@
+// GitHub App mode against a stub API: JWT minting, installation lookup by
+// owner and the installation token exchange, cache and refresh
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const { startStub, startServer, repository } = require('./stub-github');
+
+const APP_ID = '4242';
+const { publicKey, privateKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+
+let stub;
+let server;
+
+// The app JWT GitHub would accept: RS256, signed by the app key, issued by
+// the app and valid for at most 10 minutes
+function appJwtError(request) {
+  const [scheme, jwt] = (request.headers.authorization || '').split(' ');
+  if (scheme !== 'Bearer' || !jwt) {
+    return 'missing bearer token';
+  }
+  const [header, payload, signature] = jwt.split('.');
+  if (JSON.parse(Buffer.from(header, 'base64url')).alg !== 'RS256') {
+    return 'wrong alg';
+  }
+  if (!crypto.verify('sha256', Buffer.from(`${header}.${payload}`), publicKey, Buffer.from(signature, 'base64url'))) {
+    return 'bad signature';
+  }
+  const claims = JSON.parse(Buffer.from(payload, 'base64url'));
+  const now = Math.floor(Date.now() / 1000);
+  if (claims.iss !== APP_ID || claims.iat > now || claims.exp <= now || claims.exp - claims.iat > 600) {
+    return `bad claims ${JSON.stringify(claims)}`;
+  }
+  return null;
+}
+
+// Installation endpoints that check the app JWT; tokens are numbered per
+// installation and last `lifetimeMs`
+const issued = new Map();
+
+function installation(id) {
+  return request => {
+    const error = appJwtError(request);
+    return error ? { status: 401, body: { message: error } } : { body: { id } };
+  };
+}
+
+function tokenExchange(id, lifetimeMs = 60 * 60 * 1000) {
+  stub.routes.set(`POST /app/installations/${id}/access_tokens`, request => {
+    const error = appJwtError(request);
+    if (error) {
+      return { status: 401, body: { message: error } };
+    }
+    issued.set(id, (issued.get(id) || 0) + 1);
+    return { status: 201, body: { token: `inst-${id}-${issued.get(id)}`, expires_at: new Date(Date.now() + lifetimeMs).toISOString() } };
+  });
+}
+
+// Authorization header of the most recent request to `requestPath`
+function lastAuthorization(requestPath) {
+  return stub.requestsTo(requestPath).pop().headers.authorization;
+}
+
+before(async () => {
+  stub = await startStub();
+  server = await startServer(stub, {
+    GITHUB_PERSONAL_ACCESS_TOKEN: '',
+    GITHUB_APP_ID: APP_ID,
+    GITHUB_APP_PRIVATE_KEY: privateKey.export({ type: 'pkcs1', format: 'pem' }),
+    GITHUB_APP_INSTALLATION_ID: ''
+  });
+});
+
+after(() => {
+  server.stop();
+  stub.close();
+});
+
+test('exchanges a signed app JWT for the token of the owner\'s installation', async () => {
+  stub.routes.set('GET /users/octo/installation', installation(11));
+  tokenExchange(11);
+  stub.routes.set('GET /repos/octo/app', [{ body: repository('octo', 'app') }]);
+
+  const result = await server.callTool('github_get_repository', { owner: 'octo', repo: 'app' });
+
+  assert.ok(!result.isError, result.content[0].text);
+  assert.equal(lastAuthorization('/repos/octo/app'), 'token inst-11-1');
+});
+
+test('reuses the installation and its token until the token nears expiry', async () => {
+  stub.routes.set('GET /repos/octo/other', [{ body: repository('octo', 'other') }]);
+
+  const result = await server.callTool('github_get_repository', { owner: 'octo', repo: 'other' });
+
+  assert.ok(!result.isError, result.content[0].text);
+  assert.equal(lastAuthorization('/repos/octo/other'), 'token inst-11-1');
+  assert.equal(stub.requestsTo('/users/octo/installation').length, 1);
+  assert.equal(issued.get(11), 1);
+});
+
+test('finds an organization installation when the owner is not a user', async () => {
+  stub.routes.set('GET /orgs/acme/installation', installation(12));
+  tokenExchange(12);
+  stub.routes.set('GET /repos/acme/site', [{ body: repository('acme', 'site') }]);
+
+  const result = await server.callTool('github_get_repository', { owner: 'acme', repo: 'site' });
+
+  assert.ok(!result.isError, result.content[0].text);
+  assert.equal(stub.requestsTo('/users/acme/installation').length, 1);
+  assert.equal(lastAuthorization('/repos/acme/site'), 'token inst-12-1');
+});
+
+test('refreshes a token within five minutes of its expiry', async () => {
+  stub.routes.set('GET /users/brief/installation', installation(13));
+  tokenExchange(13, 2 * 60 * 1000);
+  stub.routes.set('GET /repos/brief/app', [{ body: repository('brief', 'app') }]);
+  stub.routes.set('GET /repos/brief/other', [{ body: repository('brief', 'other') }]);
+
+  await server.callTool('github_get_repository', { owner: 'brief', repo: 'app' });
+  const result = await server.callTool('github_get_repository', { owner: 'brief', repo: 'other' });
+
+  assert.ok(!result.isError, result.content[0].text);
+  assert.equal(issued.get(13), 2);
+  assert.equal(lastAuthorization('/repos/brief/other'), 'token inst-13-2');
+});
+
+test('looks the installation up again after the token exchange is refused', async () => {
+  // Installation 14 was removed and the app reinstalled as 15
+  stub.routes.set('GET /users/moved/installation', installation(14));
+  stub.routes.set('POST /app/installations/14/access_tokens', [{ status: 404, body: { message: 'Not Found' } }]);
+  stub.routes.set('GET /repos/moved/app', [{ body: repository('moved', 'app') }]);
+
+  const failed = await server.callTool('github_get_repository', { owner: 'moved', repo: 'app' });
+  assert.ok(failed.isError);
+
+  stub.routes.set('GET /users/moved/installation', installation(15));
+  tokenExchange(15);
+  const result = await server.callTool('github_get_repository', { owner: 'moved', repo: 'app' });
+
+  assert.ok(!result.isError, result.content[0].text);
+  assert.equal(stub.requestsTo('/users/moved/installation').length, 2);
+  assert.equal(lastAuthorization('/repos/moved/app'), 'token inst-15-1');
+});
@@ -0,0 +1,130 @@
+// Retry and rate-limit behaviour of GitHub requests, exercised offline: the
+// server runs as a child process with GITHUB_API_URL pointing at a stub
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startStub, startServer, repository } = require('./stub-github');
+
+let stub;
+let server;
+
+before(async () => {
+  stub = await startStub();
+  server = await startServer(stub, {
+    GITHUB_PERSONAL_ACCESS_TOKEN: 'test-token',
+    GITHUB_MAX_RETRIES: '2',
+    // Caps backoff (and the longest rate-limit wait) so the tests stay quick
+    GITHUB_MAX_RETRY_WAIT_MS: '2000',
+    GITHUB_RATE_LIMIT_LOW_WATERMARK: '10'
+  });
+});
+
+after(() => {
+  server.stop();
+  stub.close();
+});
+
+test('retries idempotent requests on 5xx responses', async () => {
+  stub.routes.set('GET /repos/octo/flaky', [
+    { status: 502, body: { message: 'Bad Gateway' } },
+    { status: 503, body: { message: 'Service Unavailable' } },
+    { body: repository('octo', 'flaky') }
+  ]);
+
+  const result = await server.callTool('github_get_repository', { owner: 'octo', repo: 'flaky' });
+
+  assert.ok(!result.isError, result.content[0].text);
+  assert.match(result.content[0].text, /Repository: octo\/flaky/);
+  assert.equal(stub.requestsTo('/repos/octo/flaky').length, 3);
+});
+
+test('does not retry writes on 5xx responses', async () => {
+  stub.routes.set('POST /repos/octo/flaky/issues', [{ status: 502, body: { message: 'Bad Gateway' } }]);
+  // A merge may have been applied even though the response was lost
+  stub.routes.set('PUT /repos/octo/flaky/pulls/7/merge', [{ status: 502, body: { message: 'Bad Gateway' } }]);
+
+  const created = await server.callTool('github_create_issue', { owner: 'octo', repo: 'flaky', title: 'Bug' });
+  const merged = await server.callTool('github_merge_pull_request', { owner: 'octo', repo: 'flaky', pull_number: 7 });
+
+  assert.ok(created.isError);
+  assert.ok(merged.isError);
+  assert.equal(stub.requestsTo('/repos/octo/flaky/issues').length, 1);
+  assert.equal(stub.requestsTo('/repos/octo/flaky/pulls/7/merge').length, 1);
+});
+
+test('waits for Retry-After before retrying a secondary rate limit', async () => {
+  stub.routes.set('GET /repos/octo/limited', [
+    { status: 403, headers: { 'Retry-After': '1' }, body: { message: 'You have exceeded a secondary rate limit' } },
+    { body: repository('octo', 'limited') }
+  ]);
+
+  const result = await server.callTool('github_get_repository', { owner: 'octo', repo: 'limited' });
+
+  assert.ok(!result.isError, result.content[0].text);
+  const [first, second] = stub.requestsTo('/repos/octo/limited');
+  assert.ok(second.at - first.at >= 1000, `retried after ${second.at - first.at}ms`);
+});
+
+test('reports an exhausted rate limit with its reset time', async () => {
+  // The search budget is separate, so the core budget used below is untouched
+  const reset = Math.floor(Date.now() / 1000) + 3600;
+  stub.routes.set('GET /search/repositories', [{
+    status: 403,
+    headers: { 'X-RateLimit-Limit': '30', 'X-RateLimit-Remaining': '0', 'X-RateLimit-Resource': 'search', 'X-RateLimit-Reset': String(reset) },
+    body: { message: 'API rate limit exceeded' }
+  }]);
+
+  const response = await server.postToolCall('github_search_repositories', { query: 'mcp' });
+  const result = await response.json();
+
+  assert.equal(response.status, 200);
+  assert.ok(result.isError);
+  assert.equal(result.structuredContent.type, 'rate_limited');
+  assert.equal(result.structuredContent.resource, 'search');
+  assert.equal(result.structuredContent.resetAt, new Date(reset * 1000).toISOString());
+  assert.equal(stub.requestsTo('/search/repositories').length, 1);
+});
+
+test('counts the cost of GraphQL mutations from the rate-limit headers', async () => {
+  const reset = Math.floor(Date.now() / 1000) + 3600;
+  stub.routes.set('POST /graphql', [
+    // The batched project and issue lookup reports its own cost
+    { body: { data: {
+      b0: { projectV2: { id: 'PVT_1', title: 'Roadmap' } },
+      b1: { issueOrPullRequest: { id: 'I_1' } },
+      rateLimit: { cost: 1, remaining: 4990, limit: 5000, resetAt: new Date(reset * 1000).toISOString() }
+    } } },
+    // The mutation cannot ask for rateLimit; its headers show 5 more points used
+    {
+      headers: { 'X-RateLimit-Limit': '5000', 'X-RateLimit-Remaining': '4985', 'X-RateLimit-Used': '15', 'X-RateLimit-Resource': 'graphql', 'X-RateLimit-Reset': String(reset) },
+      body: { data: { addProjectV2ItemById: { item: { id: 'PVTI_1' } } } }
+    }
+  ]);
+
+  const result = await server.callTool('github_add_project_item', { owner: 'octo', repo: 'flaky', issue_number: 1, project_number: 1 });
+
+  assert.ok(!result.isError, result.content[0].text);
+  assert.match(result.content[0].text, /GraphQL cost: 6 point\(s\), 4985 remaining/);
+});
+
+// Runs last: the low budget it reports stays in effect for this token
+test('queues requests once the budget drops below the low watermark', async () => {
+  const reset = Math.ceil(Date.now() / 1000) + 3;
+  const lowBudget = { 'X-RateLimit-Limit': '5000', 'X-RateLimit-Remaining': '5', 'X-RateLimit-Used': '4995', 'X-RateLimit-Reset': String(reset) };
+  for (const name of ['budget', 'queued-1', 'queued-2', 'queued-3']) {
+    stub.routes.set(`GET /repos/octo/${name}`, [{ headers: lowBudget, body: repository('octo', name) }]);
+  }
+
+  await server.callTool('github_get_repository', { owner: 'octo', repo: 'budget' });
+  const results = await Promise.all(['queued-1', 'queued-2', 'queued-3'].map(repo =>
+    server.callTool('github_get_repository', { owner: 'octo', repo })
+  ));
+
+  for (const result of results) {
+    assert.ok(!result.isError, result.content[0].text);
+  }
+  // With 5 requests left and about 3s to the reset, requests are spaced
+  // over half a second apart instead of being sent together
+  const arrivals = stub.received.filter(request => request.path.includes('/queued-')).map(request => request.at);
+  assert.equal(arrivals.length, 3);
+  assert.ok(Math.max(...arrivals) - Math.min(...arrivals) >= 1000, `spread over ${Math.max(...arrivals) - Math.min(...arrivals)}ms`);
+});
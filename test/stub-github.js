@@ -0,0 +1,98 @@
+// Test helpers: a stub GitHub API and the server started against it
+const http = require('http');
+const net = require('net');
+const path = require('path');
+const { spawn } = require('child_process');
+
+const SERVER = path.join(__dirname, '..', 'github-mcp-server.js');
+
+// Stub GitHub API. A route (`METHOD /path`) is a list of responses, served in
+// turn with the last one repeating, or a function of the request returning
+// one. Every request is recorded with its headers and arrival time.
+async function startStub() {
+  const routes = new Map();
+  const received = [];
+
+  const server = http.createServer((req, res) => {
+    const request = { method: req.method, path: req.url.split('?')[0], headers: req.headers, at: Date.now() };
+    received.push(request);
+    const route = routes.get(`${request.method} ${request.path}`);
+    let response = { status: 404, body: { message: 'Not Found' } };
+    if (typeof route === 'function') {
+      response = route(request);
+    } else if (route) {
+      response = route.length > 1 ? route.shift() : route[0];
+    }
+    const { status = 200, headers = {}, body } = response;
+    res.writeHead(status, { 'Content-Type': 'application/json', ...headers });
+    res.end(JSON.stringify(body));
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+
+  return {
+    url: `http://127.0.0.1:${server.address().port}`,
+    routes,
+    received,
+    requestsTo: requestPath => received.filter(request => request.path === requestPath),
+    close: () => server.close()
+  };
+}
+
+function freePort() {
+  return new Promise((resolve, reject) => {
+    const server = net.createServer();
+    server.once('error', reject);
+    server.listen(0, () => {
+      const { port } = server.address();
+      server.close(() => resolve(port));
+    });
+  });
+}
+
+// Run the server as a child process against `stub`, with extra environment
+async function startServer(stub, env) {
+  const port = await freePort();
+  const baseURL = `http://127.0.0.1:${port}`;
+  const child = spawn(process.execPath, [SERVER], {
+    env: { ...process.env, PORT: String(port), GITHUB_API_URL: stub.url, MCP_AUDIT_LOG: 'off', ...env },
+    stdio: 'ignore'
+  });
+
+  const server = {
+    // Tool result from POST /mcp/tools/call
+    callTool: async (name, args) => (await server.postToolCall(name, args)).json(),
+    postToolCall: (name, args) => fetch(`${baseURL}/mcp/tools/call`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ name, arguments: args })
+    }),
+    stop: () => child.kill()
+  };
+
+  for (let i = 0; i < 100; i++) {
+    try {
+      await fetch(`${baseURL}/health`);
+      return server;
+    } catch (error) {
+      await new Promise(resolve => setTimeout(resolve, 100));
+    }
+  }
+  child.kill();
+  throw new Error('Server did not start');
+}
+
+// Repository payload for GET /repos/{owner}/{repo}
+function repository(owner, name) {
+  return {
+    full_name: `${owner}/${name}`,
+    description: null,
+    language: 'JavaScript',
+    stargazers_count: 0,
+    forks_count: 0,
+    created_at: '2024-01-01T00:00:00Z',
+    updated_at: '2024-01-01T00:00:00Z',
+    html_url: `https://github.com/${owner}/${name}`
+  };
+}
+
+module.exports = { startStub, startServer, repository };